@@ -1,830 +1,6903 @@
 // TraceIt - Real-Time Item Finder
 // Core Application Logic
 
-class TraceItApp {
-    constructor() {
-        // State management
-        this.items = new Map();
-        this.currentLocation = null;
-        this.currentItem = null;
-        this.liveTracking = false;
-        this.cameraActive = false;
-        this.soundEnabled = true;
-        this.vibrationEnabled = false;
-        this.watchId = null;
-        this.trackingInterval = null;
-        
-        // Hardware simulation (when real hardware unavailable)
-        this.simulatedDevices = new Map();
-        this.simulatedLocation = null;
-        
-        // DOM Elements
-        this.elements = {};
-        
-        // Initialize app
-        this.init();
+// How long a real tag advertisement is trusted before falling back (ms)
+const BLUETOOTH_READING_TTL = 10000;
+
+// Default path-loss model for Bluetooth tags: RSSI = -10 * n * log10(d) + txPower
+const DEFAULT_TAG_CALIBRATION = {
+    txPower: -40,           // RSSI at 1 meter (dBm)
+    pathLossExponent: 2.0   // 2 in free space, typically 2.5-4 indoors
+};
+const MIN_PATH_LOSS_EXPONENT = 1;
+const MAX_PATH_LOSS_EXPONENT = 6;
+
+// How long to collect RSSI samples when calibrating a tag (ms)
+const CALIBRATION_DURATION = 5000;
+
+// Left-behind ("leash") alerts
+const DEFAULT_LEASH = {
+    enabled: false,
+    maxDistance: 50,         // meters from the item's last known location
+    signalLossSeconds: 60,   // Bluetooth tags only
+    snoozedUntil: null
+};
+const LEASH_SNOOZE_DURATION = 15 * 60 * 1000;
+const DEFAULT_SAFE_ZONE_RADIUS = 100;
+
+// Item location history
+const MAX_SIGHTINGS_PER_ITEM = 500;          // Oldest sightings are dropped beyond this
+const BLUETOOTH_SIGHTING_INTERVAL = 60000;   // Minimum time between tag sightings (ms)
+const TRAIL_STEP_INTERVAL = 700;             // Trail playback speed (ms per sighting)
+
+// Activity log entry types
+const ACTIVITY_TYPES = {
+    system: { name: 'System', icon: 'cog' },
+    gps: { name: 'Location', icon: 'location-dot', persist: false },   // Every fix; too frequent to keep
+    save: { name: 'Saved', icon: 'save' },
+    update: { name: 'Updated', icon: 'sync-alt' },
+    delete: { name: 'Deleted', icon: 'trash' },
+    tracking: { name: 'Tracking', icon: 'satellite' },
+    bluetooth: { name: 'Bluetooth', icon: 'link' },
+    alert: { name: 'Alerts', icon: 'bell' },
+    loan: { name: 'Loans', icon: 'handshake' },
+    sync: { name: 'Sync', icon: 'sync' },
+    info: { name: 'Info', icon: 'info-circle' }
+};
+const RECENT_ACTIVITY_COUNT = 10;   // Entries shown on the dashboard
+const ACTIVITY_PAGE_SIZE = 25;
+
+// Timer scheduler for simulated sensors: every() returns a function that cancels
+// the timer. The app passes its MonitorEngine instead so they run in the worker.
+const intervalScheduler = {
+    every(interval, callback) {
+        const timer = setInterval(callback, interval);
+        return () => clearInterval(timer);
     }
+};
 
-    // Initialize the application
-    init() {
-        this.cacheDOM();
-        this.loadItems();
-        this.initHardware();
-        this.setupEventListeners();
-        this.updateStats();
-        this.logActivity('App initialized', 'system');
+// Base class for sensor providers: sources of timestamped samples.
+// TraceItApp subscribes to providers instead of calling navigator.* directly.
+class SensorProvider {
+    constructor(source) {
+        this.source = source;
+        this.listeners = new Set();
+        this.errorListeners = new Set();
+        this.running = false;
     }
 
-    // Cache DOM elements
-    cacheDOM() {
-        this.elements = {
-            // Dashboard
-            itemCount: document.getElementById('itemCount'),
-            locationStatus: document.getElementById('locationStatus'),
-            bluetoothStatus: document.getElementById('bluetoothStatus'),
-            lastUpdate: document.getElementById('lastUpdate'),
-            activityLog: document.getElementById('activityLog'),
-            
-            // Hardware status
-            gpsStatus: document.getElementById('gpsStatus'),
-            compassStatus: document.getElementById('compassStatus'),
-            bluetoothSignal: document.getElementById('bluetoothSignal'),
-            
-            // Save item form
-            currentLocation: document.getElementById('currentLocation'),
-            currentLat: document.getElementById('currentLat'),
-            currentLng: document.getElementById('currentLng'),
-            
-            // Live finder
-            radarContainer: document.getElementById('radarContainer'),
-            targetMarker: document.getElementById('targetMarker'),
-            distanceRing: document.getElementById('distanceRing'),
-            directionArrow: document.getElementById('directionArrow'),
-            distanceValue: document.getElementById('distanceValue'),
-            directionValue: document.getElementById('directionValue'),
-            rssiValue: document.getElementById('rssiValue'),
-            lastSeenValue: document.getElementById('lastSeenValue'),
-            proximityFeedback: document.getElementById('proximityFeedback'),
-            
-            // Camera
-            cameraFeed: document.getElementById('cameraFeed'),
-            cameraCanvas: document.getElementById('cameraCanvas'),
-            matchFill: document.getElementById('matchFill')
-        };
+    isAvailable() {
+        return true;
     }
 
-    // Initialize hardware sensors
-    initHardware() {
-        console.log('Initializing hardware sensors...');
+    // Register sample (and optional error) listeners; returns an unsubscribe function
+    subscribe(listener, onError) {
+        this.listeners.add(listener);
+        if (onError) this.errorListeners.add(onError);
         
-        // Start watching geolocation (real GPS)
-        if ('geolocation' in navigator) {
-            navigator.geolocation.watchPosition(
-                (position) => {
-                    this.handleLocationUpdate(position);
-                },
-                (error) => {
-                    console.warn('GPS unavailable, using simulation:', error.message);
-                    this.simulateLocation();
-                    this.elements.gpsStatus.textContent = 'Simulated';
-                    this.elements.locationStatus.textContent = 'Simulated';
-                },
-                {
-                    enableHighAccuracy: true,
-                    maximumAge: 0,
-                    timeout: 5000
-                }
-            );
-        } else {
-            console.log('Geolocation API not available, using simulation');
-            this.simulateLocation();
-        }
+        return () => {
+            this.listeners.delete(listener);
+            if (onError) this.errorListeners.delete(onError);
+        };
+    }
 
-        // Initialize orientation/compass
-        if ('ondeviceorientationabsolute' in window) {
-            window.addEventListener('deviceorientationabsolute', (e) => {
-                this.handleOrientation(e);
-            });
-        } else if ('ondeviceorientation' in window) {
-            window.addEventListener('deviceorientation', (e) => {
-                this.handleOrientation(e);
-            });
-        } else {
-            console.log('Device orientation not available');
-            this.elements.compassStatus.textContent = 'Simulated';
-        }
+    emit(sample) {
+        this.listeners.forEach(listener => listener(sample));
+    }
 
-        // Initialize motion sensors
-        if ('ondevicemotion' in window) {
-            window.addEventListener('devicemotion', (e) => {
-                this.handleMotion(e);
-            });
+    fail(error) {
+        this.errorListeners.forEach(listener => listener(error));
+    }
+
+    start() {
+        this.running = true;
+    }
+
+    stop() {
+        this.running = false;
+    }
+}
+
+// Real GPS via the Geolocation API
+class GeolocationProvider extends SensorProvider {
+    constructor(geolocation) {
+        super('gps');
+        this.geolocation = geolocation || null;
+        this.watchId = null;
+    }
+
+    isAvailable() {
+        return !!this.geolocation;
+    }
+
+    start() {
+        if (this.running) return;
+        super.start();
+        
+        this.watchId = this.geolocation.watchPosition(
+            (position) => this.emit(GeolocationProvider.toSample(position)),
+            (error) => this.fail(error),
+            {
+                enableHighAccuracy: true,
+                maximumAge: 0,
+                timeout: 5000
+            }
+        );
+    }
+
+    stop() {
+        if (this.watchId !== null) {
+            this.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
         }
+        super.stop();
+    }
 
-        // Bluetooth simulation setup
-        this.initBluetoothSimulation();
+    // Request a one-off fix (manual refresh)
+    refresh() {
+        return new Promise((resolve, reject) => {
+            this.geolocation.getCurrentPosition(
+                (position) => {
+                    const sample = GeolocationProvider.toSample(position);
+                    this.emit(sample);
+                    resolve(sample);
+                },
+                reject
+            );
+        });
     }
 
-    // Handle real GPS location updates
-    handleLocationUpdate(position) {
-        this.currentLocation = {
+    static toSample(position) {
+        return {
             lat: position.coords.latitude,
             lng: position.coords.longitude,
             accuracy: position.coords.accuracy,
+            source: 'gps',
             timestamp: new Date(position.timestamp)
         };
+    }
+}
 
-        // Update UI
-        if (this.elements.currentLocation) {
-            this.elements.currentLocation.textContent = 'Location acquired';
-        }
-        if (this.elements.currentLat && this.elements.currentLng) {
-            this.elements.currentLat.textContent = this.currentLocation.lat.toFixed(6);
-            this.elements.currentLng.textContent = this.currentLocation.lng.toFixed(6);
+// Simulated location: random walk when GPS is unavailable
+const SIMULATED_START = { lat: 37.7749, lng: -122.4194 };   // San Francisco
+
+class SimulatedLocationProvider extends SensorProvider {
+    constructor(start = SIMULATED_START, random = Math.random, scheduler = intervalScheduler) {
+        super('simulated');
+        this.location = {
+            lat: start.lat,
+            lng: start.lng,
+            accuracy: 50,
+            source: 'simulated',
+            timestamp: new Date()
+        };
+        this.random = random;
+        this.scheduler = scheduler;
+        this.cancelTimer = null;
+    }
+
+    start() {
+        if (this.running) return;
+        super.start();
+        
+        this.emit({...this.location});
+        
+        // Small random movement (simulating walking)
+        this.cancelTimer = this.scheduler.every(5000, () => {
+            this.location.lat += (this.random() - 0.5) * 0.0001;
+            this.location.lng += (this.random() - 0.5) * 0.0001;
+            this.location.timestamp = new Date();
+            this.emit({...this.location});
+        });
+    }
+
+    stop() {
+        if (this.cancelTimer) {
+            this.cancelTimer();
+            this.cancelTimer = null;
         }
+        super.stop();
+    }
 
-        // Update simulated location for consistency
-        this.simulatedLocation = this.currentLocation;
+    refresh() {
+        const sample = {...this.location, timestamp: new Date()};
+        this.emit(sample);
+        return Promise.resolve(sample);
+    }
+}
 
-        // Log activity
-        this.logActivity('Location updated', 'gps');
-        this.updateLastUpdateTime();
+// Real compass via device orientation events
+class OrientationProvider extends SensorProvider {
+    constructor(target) {
+        super('compass');
+        this.target = target || null;
+        this.eventName = null;
+        this.handler = (event) => {
+            this.emit({
+                alpha: event.alpha,
+                beta: event.beta,
+                gamma: event.gamma,
+                absolute: !!event.absolute,
+                // iOS reports a clockwise compass heading separately
+                compassHeading: typeof event.webkitCompassHeading === 'number' ?
+                    event.webkitCompassHeading : null,
+                source: 'compass',
+                timestamp: new Date()
+            });
+        };
     }
 
-    // Simulate location when GPS is unavailable
-    simulateLocation() {
-        // Start from a default location (San Francisco)
-        this.simulatedLocation = {
-            lat: 37.7749,
-            lng: -122.4194,
-            accuracy: 50,
+    isAvailable() {
+        return !!this.target &&
+            ('ondeviceorientationabsolute' in this.target || 'ondeviceorientation' in this.target);
+    }
+
+    start() {
+        if (this.running) return;
+        super.start();
+        
+        // Prefer absolute (north-referenced) orientation when supported
+        this.eventName = 'ondeviceorientationabsolute' in this.target ?
+            'deviceorientationabsolute' : 'deviceorientation';
+        this.target.addEventListener(this.eventName, this.handler);
+    }
+
+    stop() {
+        if (this.eventName) {
+            this.target.removeEventListener(this.eventName, this.handler);
+            this.eventName = null;
+        }
+        super.stop();
+    }
+}
+
+// Simulated compass: a device held still, facing north
+class SimulatedHeadingProvider extends SensorProvider {
+    constructor(heading = 0) {
+        super('simulated');
+        this.heading = heading;
+    }
+
+    start() {
+        if (this.running) return;
+        super.start();
+        
+        this.emit({
+            alpha: this.heading,
+            beta: 0,
+            gamma: 0,
+            absolute: true,
+            source: 'simulated',
             timestamp: new Date()
+        });
+    }
+}
+
+// Real accelerometer via device motion events
+class MotionProvider extends SensorProvider {
+    constructor(target) {
+        super('motion');
+        this.target = target || null;
+        this.handler = (event) => {
+            const acceleration = event.acceleration;
+            this.emit({
+                acceleration: acceleration && acceleration.x !== null ? {
+                    x: acceleration.x,
+                    y: acceleration.y,
+                    z: acceleration.z
+                } : null,
+                interval: event.interval,
+                source: 'motion',
+                timestamp: new Date()
+            });
         };
+    }
 
-        this.currentLocation = this.simulatedLocation;
+    isAvailable() {
+        return !!this.target && 'ondevicemotion' in this.target;
+    }
 
-        // Create simulated movement
-        setInterval(() => {
-            if (this.simulatedLocation) {
-                // Small random movement (simulating walking)
-                const latChange = (Math.random() - 0.5) * 0.0001;
-                const lngChange = (Math.random() - 0.5) * 0.0001;
-                
-                this.simulatedLocation.lat += latChange;
-                this.simulatedLocation.lng += lngChange;
-                this.simulatedLocation.timestamp = new Date();
-                
-                this.currentLocation = this.simulatedLocation;
-                
-                // Update UI if needed
-                if (this.elements.currentLat && this.elements.currentLng) {
-                    this.elements.currentLat.textContent = this.currentLocation.lat.toFixed(6);
-                    this.elements.currentLng.textContent = this.currentLocation.lng.toFixed(6);
-                }
-            }
-        }, 5000);
+    start() {
+        if (this.running) return;
+        super.start();
+        this.target.addEventListener('devicemotion', this.handler);
     }
 
-    // Handle device orientation (compass)
-    handleOrientation(event) {
-        if (event.alpha !== null) {
-            const heading = event.alpha;
-            // Update compass direction
-            if (this.elements.directionArrow) {
-                this.elements.directionArrow.style.transform = `rotate(${heading}deg)`;
-            }
-        }
+    stop() {
+        this.target.removeEventListener('devicemotion', this.handler);
+        super.stop();
+    }
+}
+
+// Simulated accelerometer: a device at rest never reports motion
+class SimulatedMotionProvider extends SensorProvider {
+    constructor() {
+        super('simulated');
     }
+}
 
-    // Handle device motion
-    handleMotion(event) {
-        // This can be used for step detection or movement analysis
-        if (event.acceleration && event.acceleration.x !== null) {
-            // Calculate movement intensity
-            const intensity = Math.sqrt(
-                Math.pow(event.acceleration.x, 2) +
-                Math.pow(event.acceleration.y, 2) +
-                Math.pow(event.acceleration.z, 2)
-            );
-            
-            // If user is moving significantly, update location more frequently
-            if (intensity > 2 && this.liveTracking) {
-                this.updateTracking();
+// Real Bluetooth tags via the Web Bluetooth API
+class WebBluetoothTagProvider extends SensorProvider {
+    constructor(bluetooth) {
+        super('bluetooth');
+        // navigator.bluetooth, or any object with the same shape (e.g. a fake adapter in tests)
+        this.bluetooth = bluetooth || null;
+        this.watchers = new Map();
+    }
+
+    isAvailable() {
+        return !!this.bluetooth && typeof this.bluetooth.requestDevice === 'function';
+    }
+
+    // Show the browser device chooser and return the picked tag
+    async pairTag() {
+        const device = await this.bluetooth.requestDevice({ acceptAllDevices: true });
+        return {
+            deviceId: device.id,
+            name: device.name || 'Unnamed tag'
+        };
+    }
+
+    // Look up a previously permitted device by id
+    async findDevice(deviceId) {
+        if (typeof this.bluetooth.getDevices !== 'function') return null;
+        
+        const devices = await this.bluetooth.getDevices();
+        return devices.find(device => device.id === deviceId) || null;
+    }
+
+    // Watch advertisements from an item's tag; resolves false if the tag cannot be watched
+    async addTag(item) {
+        if (!item.tag || this.watchers.has(item.id)) return false;
+        
+        // Claim the item before awaiting, so a concurrent call doesn't watch it twice
+        const controller = new AbortController();
+        this.watchers.set(item.id, controller);
+        const release = () => {
+            controller.abort();
+            if (this.watchers.get(item.id) === controller) {
+                this.watchers.delete(item.id);
             }
+        };
+        
+        try {
+            const device = await this.findDevice(item.tag.deviceId);
+            if (!device || typeof device.watchAdvertisements !== 'function' || controller.signal.aborted) {
+                release();
+                return false;
+            }
+            
+            device.addEventListener('advertisementreceived', (event) => {
+                this.emit({
+                    itemId: item.id,
+                    rssi: event.rssi,
+                    txPower: event.txPower ?? null,
+                    source: 'bluetooth',
+                    timestamp: new Date()
+                });
+            }, { signal: controller.signal });
+            
+            await device.watchAdvertisements({ signal: controller.signal });
+            return true;
+        } catch (error) {
+            // Drops the listener along with the failed watch
+            release();
+            throw error;
         }
     }
 
-    // Initialize Bluetooth device simulation
-    initBluetoothSimulation() {
-        console.log('Initializing Bluetooth simulation');
-        
-        // In production, this would use Web Bluetooth API
-        // For simulation, create virtual Bluetooth devices
+    removeTag(itemId) {
+        const controller = this.watchers.get(itemId);
+        if (controller) controller.abort();
+        this.watchers.delete(itemId);
+    }
+
+    stop() {
+        Array.from(this.watchers.keys()).forEach(itemId => this.removeTag(itemId));
+        super.stop();
+    }
+}
+
+// Simulated Bluetooth tags: RSSI derived from the stored GPS distance
+class SimulatedTagProvider extends SensorProvider {
+    constructor(app, scheduler = intervalScheduler) {
+        super('simulated');
+        this.app = app;
+        this.devices = new Map();
+        this.scheduler = scheduler;
+        this.cancelTimer = null;
+    }
+
+    start() {
+        if (this.running) return;
+        super.start();
         
-        setInterval(() => {
-            // Update simulated Bluetooth signal strength
-            this.updateBluetoothSimulation();
-        }, 2000);
+        this.cancelTimer = this.scheduler.every(2000, () => {
+            this.update();
+        });
     }
 
-    updateBluetoothSimulation() {
-        // Simulate Bluetooth RSSI values for tracked items
-        this.items.forEach((item, id) => {
-            if (!this.simulatedDevices.has(id)) {
-                this.simulatedDevices.set(id, {
+    stop() {
+        if (this.cancelTimer) {
+            this.cancelTimer();
+            this.cancelTimer = null;
+        }
+        super.stop();
+    }
+
+    // Update simulated RSSI values for tracked items
+    update() {
+        this.app.items.forEach((item, id) => {
+            const distance = this.app.calculateDistance(item.location, this.app.currentLocation);
+            
+            if (!this.devices.has(id)) {
+                this.devices.set(id, {
                     rssi: -70 + Math.random() * 40, // Random RSSI between -70 and -30
-                    lastUpdate: new Date(),
-                    distance: this.calculateDistance(item.location, this.currentLocation)
+                    distance: distance
                 });
             } else {
-                const device = this.simulatedDevices.get(id);
-                // Update RSSI based on distance
-                const distance = this.calculateDistance(item.location, this.currentLocation);
+                const device = this.devices.get(id);
                 device.distance = distance;
-                device.rssi = this.calculateRSSIFromDistance(distance);
-                device.lastUpdate = new Date();
+                device.rssi = this.app.calculateRSSIFromDistance(distance, item.calibration);
             }
+            
+            this.emitDevice(id);
         });
     }
 
-    // Calculate RSSI based on distance (simulated)
-    calculateRSSIFromDistance(distance) {
-        // Simple path loss model: RSSI = -10 * n * log10(d) + C
-        const n = 2.0; // Path loss exponent
-        const C = -40; // RSSI at 1 meter
-        const rssi = -10 * n * Math.log10(Math.max(distance, 1)) + C;
-        return Math.min(Math.max(rssi, -100), -30) + (Math.random() * 10 - 5); // Add some noise
+    addTag(item) {
+        this.devices.set(item.id, {
+            rssi: -50,
+            distance: 0
+        });
+        this.emitDevice(item.id);
     }
 
-    // Calculate distance between two coordinates using Haversine formula
-    calculateDistance(coord1, coord2) {
-        if (!coord1 || !coord2) return 0;
-        
-        const R = 6371e3; // Earth's radius in meters
-        const φ1 = coord1.lat * Math.PI / 180;
-        const φ2 = coord2.lat * Math.PI / 180;
-        const Δφ = (coord2.lat - coord1.lat) * Math.PI / 180;
-        const Δλ = (coord2.lng - coord1.lng) * Math.PI / 180;
+    removeTag(itemId) {
+        this.devices.delete(itemId);
+    }
+
+    emitDevice(itemId) {
+        const device = this.devices.get(itemId);
+        this.emit({
+            itemId: itemId,
+            rssi: device.rssi,
+            distance: device.distance,
+            source: 'simulated',
+            timestamp: new Date()
+        });
+    }
+}
 
-        const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-                  Math.cos(φ1) * Math.cos(φ2) *
-                  Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+// Several providers of the same kind behind one interface (e.g. real tags with simulated fallback)
+class CompositeProvider extends SensorProvider {
+    constructor(providers) {
+        super(providers.length ? providers[0].source : 'none');
+        this.providers = providers;
+        this.providers.forEach(provider => {
+            provider.subscribe(
+                (sample) => this.emit(sample),
+                (error) => this.fail(error)
+            );
+        });
+    }
 
-        return R * c; // Distance in meters
+    start() {
+        if (this.running) return;
+        super.start();
+        this.providers.forEach(provider => provider.start());
     }
 
-    // Setup event listeners
-    setupEventListeners() {
-        // Photo upload
-        const photoUpload = document.getElementById('photoUpload');
-        if (photoUpload) {
-            photoUpload.addEventListener('change', (e) => {
-                this.handlePhotoUpload(e);
-            });
-        }
+    stop() {
+        this.providers.forEach(provider => provider.stop());
+        super.stop();
+    }
 
-        // Watch for item selection in finder
-        const finderSelect = document.getElementById('finderItemSelect');
-        if (finderSelect) {
-            finderSelect.addEventListener('change', () => {
-                this.selectFinderItem();
-            });
-        }
+    // Tag management: true if any provider is watching the item's tag
+    async addTag(item) {
+        const results = await Promise.all(this.providers
+            .filter(provider => typeof provider.addTag === 'function')
+            .map(provider => provider.addTag(item)));
+        return results.some(Boolean);
     }
 
-    // Page navigation
-    showPage(pageId) {
-        // Hide all pages
-        document.querySelectorAll('.page').forEach(page => {
-            page.classList.remove('active');
+    removeTag(itemId) {
+        this.providers.forEach(provider => {
+            if (typeof provider.removeTag === 'function') provider.removeTag(itemId);
         });
+    }
+}
+
+// Replays recorded samples ({ t: ms from start, data }) at real or accelerated speed
+class ReplayProvider extends SensorProvider {
+    constructor(samples = [], options = {}) {
+        super('replay');
+        this.samples = samples.slice().sort((a, b) => a.t - b.t);
+        this.speed = options.speed || 1;
+        this.onEnd = options.onEnd || null;
+        this.index = 0;
+        this.timer = null;
+        this.startedAt = 0;
+        this.lastSample = null;
+    }
+
+    start() {
+        if (this.running) return;
+        super.start();
         
-        // Show selected page
-        const page = document.getElementById(pageId);
-        if (page) {
-            page.classList.add('active');
-            
-            // Initialize page-specific content
-            switch(pageId) {
-                case 'dashboard':
-                    this.updateStats();
-                    break;
-                case 'trackedItems':
-                    this.loadTrackedItems();
-                    break;
-                case 'saveItem':
-                    this.initSaveItemPage();
-                    break;
-                case 'liveFinder':
-                    this.initLiveFinderPage();
-                    break;
-            }
-        }
+        this.index = 0;
+        this.startedAt = Date.now();
+        this.scheduleNext();
     }
 
-    // Initialize save item page
-    initSaveItemPage() {
-        // Update current location display
-        if (this.currentLocation) {
-            this.elements.currentLocation.textContent = 'Location ready';
-            this.elements.currentLat.textContent = this.currentLocation.lat.toFixed(6);
-            this.elements.currentLng.textContent = this.currentLocation.lng.toFixed(6);
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
         }
+        super.stop();
     }
 
-    // Initialize live finder page
-    initLiveFinderPage() {
-        this.populateFinderItems();
-        this.stopLiveTracking(); // Ensure tracking is stopped
-    }
-
-    // Populate items in finder dropdown
-    populateFinderItems() {
-        const select = document.getElementById('finderItemSelect');
-        if (!select) return;
+    scheduleNext() {
+        if (!this.running) return;
         
-        // Clear existing options except first
-        while (select.options.length > 1) {
-            select.remove(1);
+        if (this.index >= this.samples.length) {
+            this.running = false;
+            if (this.onEnd) this.onEnd();
+            return;
         }
         
-        // Add items
-        this.items.forEach((item, id) => {
-            const option = document.createElement('option');
-            option.value = id;
-            option.textContent = item.name;
-            select.appendChild(option);
-        });
+        const next = this.samples[this.index];
+        const delay = Math.max(0, next.t / this.speed - (Date.now() - this.startedAt));
+        
+        this.timer = setTimeout(() => {
+            this.index++;
+            // Re-stamp samples so freshness checks treat them as live
+            this.lastSample = {...next.data, source: 'replay', timestamp: new Date()};
+            this.emit(this.lastSample);
+            this.scheduleNext();
+        }, delay);
     }
 
-    // Handle item selection in finder
-    selectFinderItem() {
-        const select = document.getElementById('finderItemSelect');
-        const itemId = select.value;
+    refresh() {
+        if (!this.lastSample) {
+            return Promise.reject(new Error('No replayed location yet'));
+        }
+        return Promise.resolve(this.lastSample);
+    }
+}
+
+// Build location/heading/motion/proximity providers for a sensor mode:
+// 'auto' (real where available, simulated otherwise), 'real', 'simulated' or 'replay'
+function createSensorProviders(mode, env) {
+    const simulated = {
+        location: new SimulatedLocationProvider(SIMULATED_START, Math.random, env.scheduler),
+        heading: new SimulatedHeadingProvider(),
+        motion: new SimulatedMotionProvider(),
+        proximity: env.simulatedTags
+    };
+    
+    const real = {
+        location: new GeolocationProvider(env.geolocation),
+        heading: new OrientationProvider(env.target),
+        motion: new MotionProvider(env.target),
+        proximity: env.bluetoothTags
+    };
+    
+    switch (mode) {
+        case 'simulated':
+            return simulated;
         
-        if (!itemId) {
-            this.currentItem = null;
-            this.updateProximityFeedback('Select an item to begin tracking');
-            return;
+        case 'real':
+            return real;
+        
+        case 'replay': {
+            const samples = (env.trace && env.trace.samples) || [];
+            const samplesOf = (kind) => samples.filter(sample => sample.kind === kind);
+            const options = { speed: env.replaySpeed, onEnd: env.onReplayEnd };
+            return {
+                location: new ReplayProvider(samplesOf('location'), options),
+                heading: new ReplayProvider(samplesOf('heading'), options),
+                motion: new ReplayProvider(samplesOf('motion'), options),
+                proximity: new ReplayProvider(samplesOf('proximity'), options)
+            };
         }
         
-        this.currentItem = this.items.get(itemId);
-        if (this.currentItem) {
-            this.updateProximityFeedback(`Tracking ${this.currentItem.name}`);
-            this.updateLastSeenTime(this.currentItem);
+        default: {
+            const pick = (kind) => real[kind].isAvailable() ? real[kind] : simulated[kind];
+            return {
+                location: pick('location'),
+                heading: pick('heading'),
+                motion: pick('motion'),
+                proximity: env.bluetoothTags.isAvailable() ?
+                    new CompositeProvider([env.bluetoothTags, env.simulatedTags]) :
+                    env.simulatedTags
+            };
         }
     }
+}
 
-    // Start live tracking
-    startLiveTracking() {
-        if (!this.currentItem) {
-            alert('Please select an item to track first');
-            return;
+// Sensor mode requested in the page URL (?sensors=simulated)
+function getSensorModeFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('sensors');
+}
+
+// One-dimensional Kalman filter for noisy RSSI values
+class KalmanFilter {
+    constructor(options = {}) {
+        this.processNoise = options.processNoise ?? 0.5;        // Q: drift of the true RSSI per sample (dB²)
+        this.measurementNoise = options.measurementNoise ?? 16; // R: variance of a single reading (dB²)
+        this.estimate = null;
+        this.errorCovariance = 0;
+    }
+
+    filter(measurement) {
+        if (this.estimate === null) {
+            this.estimate = measurement;
+            this.errorCovariance = this.measurementNoise;
+            return this.estimate;
         }
         
-        this.liveTracking = true;
-        
-        // Enable/disable buttons
-        document.getElementById('startTrackingBtn').disabled = true;
-        document.getElementById('stopTrackingBtn').disabled = false;
-        
-        // Start tracking loop
-        this.trackingInterval = setInterval(() => {
-            this.updateTracking();
-        }, 1000); // Update every second
+        const predictedCovariance = this.errorCovariance + this.processNoise;
+        const gain = predictedCovariance / (predictedCovariance + this.measurementNoise);
         
-        this.logActivity(`Started tracking ${this.currentItem.name}`, 'tracking');
-        this.updateProximityFeedback(`Tracking ${this.currentItem.name} - Getting signal...`);
+        this.estimate += gain * (measurement - this.estimate);
+        this.errorCovariance = (1 - gain) * predictedCovariance;
+        return this.estimate;
     }
 
-    // Stop live tracking
-    stopLiveTracking() {
-        this.liveTracking = false;
+    reset() {
+        this.estimate = null;
+        this.errorCovariance = 0;
+    }
+}
+
+// Estimates distance to a tag from filtered RSSI, fused with GPS distance
+class ProximityEstimator {
+    constructor(calibration) {
+        this.calibration = {...DEFAULT_TAG_CALIBRATION, ...calibration};
+        this.filter = new KalmanFilter();
+        this.rssi = null;
+        this.lastTimestamp = null;
+    }
+
+    // Feed a reading; readings that were already seen are ignored
+    addReading(reading) {
+        const timestamp = new Date(reading.timestamp).getTime();
+        if (timestamp === this.lastTimestamp) return this.rssi;
         
-        // Enable/disable buttons
-        document.getElementById('startTrackingBtn').disabled = false;
-        document.getElementById('stopTrackingBtn').disabled = true;
+        this.lastTimestamp = timestamp;
+        this.rssi = this.filter.filter(reading.rssi);
+        return this.rssi;
+    }
+
+    // Invert the path-loss model
+    rssiToDistance(rssi) {
+        const { txPower, pathLossExponent } = this.calibration;
+        return Math.pow(10, (txPower - rssi) / (10 * pathLossExponent));
+    }
+
+    // Standard deviation of an RSSI-based distance, propagating the per-reading noise
+    rssiDistanceError(distance) {
+        const sigmaDb = Math.sqrt(this.filter.measurementNoise);
+        return distance * Math.LN10 / (10 * this.calibration.pathLossExponent) * sigmaDb;
+    }
+
+    // Fuse RSSI and GPS distances, weighted by inverse variance
+    estimate(gpsDistance, gpsAccuracy) {
+        if (this.rssi === null) {
+            return { distance: gpsDistance, rssiDistance: null, source: 'gps' };
+        }
         
-        // Clear tracking interval
-        if (this.trackingInterval) {
-            clearInterval(this.trackingInterval);
-            this.trackingInterval = null;
+        const rssiDistance = this.rssiToDistance(this.rssi);
+        if (!gpsAccuracy || !isFinite(gpsAccuracy)) {
+            return { distance: rssiDistance, rssiDistance: rssiDistance, source: 'rssi' };
         }
         
-        // Reset radar
-        this.resetRadar();
+        const rssiWeight = 1 / Math.pow(Math.max(this.rssiDistanceError(rssiDistance), 0.1), 2);
+        const gpsWeight = 1 / Math.pow(gpsAccuracy, 2);
+        const distance = (rssiDistance * rssiWeight + gpsDistance * gpsWeight) / (rssiWeight + gpsWeight);
         
-        this.logActivity('Stopped tracking', 'tracking');
-        this.updateProximityFeedback('Tracking stopped');
+        return { distance: distance, rssiDistance: rssiDistance, source: 'fused' };
     }
+}
 
-    // Stop finder completely
-    stopLiveFinder() {
-        this.stopLiveTracking();
-        this.currentItem = null;
-        
-        // Reset finder selection
-        const select = document.getElementById('finderItemSelect');
-        if (select) select.value = '';
+// Step-based "walk and measure" direction finding from signal trends.
+// Signals are "higher is closer" (filtered RSSI, or negative distance).
+class DirectionFinder {
+    constructor(options = {}) {
+        this.stepThreshold = options.stepThreshold ?? 1.5;      // m/s² of linear acceleration
+        this.minStepInterval = options.minStepInterval ?? 300;  // ms between steps
+        this.windowSize = options.windowSize ?? 12;             // steps considered
+        this.trendThreshold = options.trendThreshold ?? 0.2;    // signal change per step
+        this.reset();
     }
 
-    // Update tracking display
-    updateTracking() {
-        if (!this.currentItem || !this.currentLocation) return;
+    reset() {
+        this.steps = [];
+        this.aboveThreshold = false;
+        this.lastStepTime = 0;
+    }
+
+    // Detect a step from a motion sample (rising edge of acceleration); true on a new step
+    detectStep(sample) {
+        if (!sample.acceleration) return false;
         
-        // Calculate current distance
-        const distance = this.calculateDistance(this.currentItem.location, this.currentLocation);
+        const { x, y, z } = sample.acceleration;
+        const magnitude = Math.sqrt(x * x + y * y + z * z);
+        const time = new Date(sample.timestamp).getTime();
         
-        // Get simulated Bluetooth data
-        let rssi = -70;
-        if (this.simulatedDevices.has(this.currentItem.id)) {
-            const device = this.simulatedDevices.get(this.currentItem.id);
-            rssi = device.rssi;
+        const wasAbove = this.aboveThreshold;
+        this.aboveThreshold = magnitude > this.stepThreshold;
+        if (!this.aboveThreshold || wasAbove || time - this.lastStepTime < this.minStepInterval) {
+            return false;
         }
         
-        // Calculate direction
-        const direction = this.calculateDirection(this.currentItem.location, this.currentLocation);
-        
-        // Update UI
-        this.updateRadar(distance, direction);
-        this.updateStatsDisplay(distance, direction, rssi);
-        this.updateProximityFeedbackBasedOnDistance(distance);
-        
-        // Update sound and vibration
-        this.updateProximityEffects(distance);
-        
-        // Update last seen time
-        this.updateLastSeenTime(this.currentItem);
+        this.lastStepTime = time;
+        return true;
     }
 
-    // Update radar visualization
-    updateRadar(distance, direction) {
-        if (!this.elements.targetMarker || !this.elements.distanceRing) return;
-        
-        const radar = document.querySelector('.radar');
-        if (!radar) return;
-        
-        const radarSize = radar.offsetWidth;
-        const maxDistance = 100; // Maximum distance to show on radar (meters)
-        
-        // Calculate position on radar
-        const normalizedDistance = Math.min(distance / maxDistance, 1);
-        const angle = (direction * Math.PI) / 180;
-        
-        const x = normalizedDistance * Math.sin(angle);
-        const y = normalizedDistance * Math.cos(angle);
-        
-        // Update target marker position
-        const markerX = 50 + x * 50;
-        const markerY = 50 - y * 50;
-        
-        this.elements.targetMarker.style.left = `${markerX}%`;
-        this.elements.targetMarker.style.top = `${markerY}%`;
-        
-        // Update distance ring
-        const ringSize = normalizedDistance * 100;
-        this.elements.distanceRing.style.width = `${ringSize}%`;
-        this.elements.distanceRing.style.height = `${ringSize}%`;
-        this.elements.distanceRing.style.left = `${markerX}%`;
-        this.elements.distanceRing.style.top = `${markerY}%`;
-        
-        // Update direction arrow
-        if (this.elements.directionArrow) {
-            this.elements.directionArrow.style.transform = `rotate(${direction}deg)`;
+    // Record the signal after a step, with the walking heading if known
+    addStep(signal, heading = null) {
+        this.steps.push({ signal: signal, heading: heading });
+        if (this.steps.length > this.windowSize) {
+            this.steps.shift();
         }
     }
 
-    // Reset radar to initial state
-    resetRadar() {
-        if (this.elements.targetMarker) {
-            this.elements.targetMarker.style.left = '50%';
-            this.elements.targetMarker.style.top = '50%';
-        }
+    // 'warmer', 'colder' or 'steady' from the signal slope per step; null until enough steps
+    trend() {
+        const count = this.steps.length;
+        if (count < 4) return null;
         
-        if (this.elements.distanceRing) {
-            this.elements.distanceRing.style.width = '0%';
-            this.elements.distanceRing.style.height = '0%';
-        }
+        const meanIndex = (count - 1) / 2;
+        const meanSignal = this.steps.reduce((sum, step) => sum + step.signal, 0) / count;
+        let covariance = 0;
+        let variance = 0;
+        this.steps.forEach((step, index) => {
+            covariance += (index - meanIndex) * (step.signal - meanSignal);
+            variance += Math.pow(index - meanIndex, 2);
+        });
+        const slope = covariance / variance;
         
-        // Reset stats display
-        this.elements.distanceValue.textContent = '-- m';
-        this.elements.directionValue.textContent = '--°';
-        this.elements.rssiValue.textContent = '-- dBm';
+        if (slope > this.trendThreshold) return 'warmer';
+        if (slope < -this.trendThreshold) return 'colder';
+        return 'steady';
     }
 
-    // Calculate direction from user to item
-    calculateDirection(itemLocation, userLocation) {
-        if (!itemLocation || !userLocation) return 0;
+    // Estimate the bearing of increasing signal (degrees, in the headings' frame).
+    // Fits signal change per step = g · (cos θ, sin θ) by least squares; needs steps in
+    // at least two different directions.
+    estimateBearing() {
+        let cc = 0, cs = 0, ss = 0, cd = 0, sd = 0, pairs = 0;
         
-        const dLng = (itemLocation.lng - userLocation.lng) * Math.PI / 180;
-        const lat1 = userLocation.lat * Math.PI / 180;
-        const lat2 = itemLocation.lat * Math.PI / 180;
+        for (let i = 1; i < this.steps.length; i++) {
+            const heading = this.steps[i].heading;
+            if (heading === null) continue;
+            
+            const change = this.steps[i].signal - this.steps[i - 1].signal;
+            const c = Math.cos(heading * Math.PI / 180);
+            const s = Math.sin(heading * Math.PI / 180);
+            cc += c * c;
+            cs += c * s;
+            ss += s * s;
+            cd += c * change;
+            sd += s * change;
+            pairs++;
+        }
         
-        const y = Math.sin(dLng) * Math.cos(lat2);
-        const x = Math.cos(lat1) * Math.sin(lat2) -
-                  Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+        const determinant = cc * ss - cs * cs;
+        if (pairs < 3 || determinant / (pairs * pairs) < 0.05) return null;
         
-        let bearing = Math.atan2(y, x) * 180 / Math.PI;
-        bearing = (bearing + 360) % 360;
+        const north = (ss * cd - cs * sd) / determinant;
+        const east = (cc * sd - cs * cd) / determinant;
+        if (Math.hypot(north, east) < 1e-6) return null;
         
-        return bearing;
+        return (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
     }
+}
 
-    // Update statistics display
-    updateStatsDisplay(distance, direction, rssi) {
-        this.elements.distanceValue.textContent = `${Math.round(distance)} m`;
-        this.elements.directionValue.textContent = `${Math.round(direction)}°`;
-        this.elements.rssiValue.textContent = `${Math.round(rssi)} dBm`;
+// Median of a list of numbers
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Version of the sensor trace file format
+const SENSOR_TRACE_VERSION = 1;
+const SENSOR_KINDS = ['location', 'heading', 'motion', 'proximity'];
+
+// Records timestamped samples from sensor providers into a replayable trace
+class SensorRecorder {
+    constructor(sensors, meta = {}) {
+        this.sensors = sensors;
+        this.meta = meta;
+        this.samples = [];
+        this.unsubscribers = [];
+        this.startedAt = null;
     }
 
-    // Update proximity feedback message
-    updateProximityFeedback(message) {
-        if (this.elements.proximityFeedback) {
-            const span = this.elements.proximityFeedback.querySelector('span');
-            if (span) span.textContent = message;
-        }
+    start() {
+        this.startedAt = new Date();
+        Object.entries(this.sensors).forEach(([kind, provider]) => this.watch(kind, provider));
     }
 
-    // Update proximity feedback based on distance
-    updateProximityFeedbackBasedOnDistance(distance) {
-        let message = '';
-        let color = '#10b981';
-        
-        if (distance < 1) {
-            message = 'Item is within 1 meter!';
-            color = '#10b981'; // Green
-        } else if (distance < 5) {
-            message = 'Item is very close';
-            color = '#10b981';
-        } else if (distance < 20) {
-            message = 'Item is nearby';
-            color = '#f59e0b'; // Yellow
-        } else if (distance < 100) {
-            message = 'Item is within 100 meters';
-            color = '#f59e0b';
-        } else {
-            message = 'Item is far away';
-            color = '#ef4444'; // Red
-        }
+    // Record samples of one kind (also used when a provider is swapped mid-recording)
+    watch(kind, provider) {
+        this.unsubscribers.push(provider.subscribe((sample) => this.record(kind, sample)));
+    }
+
+    record(kind, sample) {
+        const { timestamp, ...data } = sample;
+        this.samples.push({
+            t: Date.now() - this.startedAt.getTime(),
+            kind: kind,
+            data: data
+        });
+    }
+
+    // Stop recording and return the trace
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
         
-        this.updateProximityFeedback(message);
-        if (this.elements.proximityFeedback) {
-            this.elements.proximityFeedback.style.borderLeft = `4px solid ${color}`;
+        return {
+            version: SENSOR_TRACE_VERSION,
+            startedAt: this.startedAt.toISOString(),
+            duration: Date.now() - this.startedAt.getTime(),
+            ...this.meta,
+            samples: this.samples
+        };
+    }
+}
+
+// Parse and validate a sensor trace file
+function parseSensorTrace(text) {
+    const trace = JSON.parse(text);
+    
+    if (!trace || !Array.isArray(trace.samples)) {
+        throw new Error('Not a TraceIt sensor trace');
+    }
+    if (trace.version > SENSOR_TRACE_VERSION) {
+        throw new Error(`Unsupported trace version ${trace.version}`);
+    }
+    
+    trace.samples.forEach((sample, index) => {
+        if (typeof sample.t !== 'number' || !SENSOR_KINDS.includes(sample.kind) ||
+            !sample.data || typeof sample.data !== 'object') {
+            throw new Error(`Invalid sample at index ${index}`);
         }
+    });
+    
+    return trace;
+}
+
+// How items are located; drives the attach method selects
+const ATTACH_METHOD_INFO = {
+    bluetooth: { name: 'Bluetooth Tag', icon: 'wifi' },
+    proximity: { name: 'Phone Proximity', icon: 'mobile-alt' },
+    camera: { name: 'Camera Recognition', icon: 'camera' },
+    gps: { name: 'GPS Only', icon: 'location-dot' }
+};
+const ATTACH_METHODS = Object.keys(ATTACH_METHOD_INFO);
+
+// Item categories. Users can add their own next to the built-in ones.
+const CATEGORIES_STORAGE_KEY = 'traceit_categories';
+const FALLBACK_CATEGORY = 'other';
+const BUILT_IN_CATEGORIES = [
+    { id: 'keys', name: 'Keys', icon: 'key', color: '#6366f1', attachMethod: 'bluetooth', leashDistance: 50 },
+    { id: 'wallet', name: 'Wallet', icon: 'wallet', color: '#10b981', attachMethod: 'bluetooth', leashDistance: 30 },
+    { id: 'phone', name: 'Phone', icon: 'mobile-alt', color: '#0ea5e9', attachMethod: 'proximity', leashDistance: 30 },
+    { id: 'bag', name: 'Bag', icon: 'briefcase', color: '#f59e0b', attachMethod: 'bluetooth', leashDistance: 50 },
+    { id: 'laptop', name: 'Laptop', icon: 'laptop', color: '#8b5cf6', attachMethod: 'gps', leashDistance: 100 },
+    { id: 'other', name: 'Other', icon: 'cube', color: '#64748b', attachMethod: 'gps', leashDistance: 50 }
+];
+
+class CategoryRegistry {
+    constructor(storage) {
+        this.storage = storage;
+        this.custom = [];
     }
 
-    // Update proximity effects (sound and vibration)
-    updateProximityEffects(distance) {
-        if (distance < 10) {
-            // Play beeping sound when close
-            if (this.soundEnabled) {
-                this.playProximityBeep(distance);
-            }
-            
-            // Vibrate when very close
-            if (this.vibrationEnabled && distance < 2) {
-                this.vibrateDevice();
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CATEGORIES_STORAGE_KEY);
+            if (saved) {
+                this.custom = JSON.parse(saved).filter(category => CategoryRegistry.validate(category, []).length === 0);
             }
+        } catch (error) {
+            console.error('Error loading categories:', error);
         }
     }
 
-    // Play proximity beep (frequency increases as distance decreases)
-    playProximityBeep(distance) {
-        const beep = document.getElementById('proximityBeep');
-        if (beep) {
-            // Calculate playback rate based on distance
-            const rate = Math.max(0.5, 2 - (distance / 10));
-            beep.playbackRate = rate;
-            
-            // Play sound
-            beep.play().catch(e => console.log('Audio play failed:', e));
-        }
+    save() {
+        this.storage.setItem(CATEGORIES_STORAGE_KEY, JSON.stringify(this.custom));
     }
 
-    // Vibrate device (if supported)
-    vibrateDevice() {
-        if ('vibrate' in navigator) {
-            navigator.vibrate([100, 50, 100]);
-        }
+    all() {
+        return [...BUILT_IN_CATEGORIES, ...this.custom];
     }
 
-    // Toggle sound
-    toggleSound() {
-        this.soundEnabled = !this.soundEnabled;
-        const btn = document.getElementById('soundToggle');
-        if (btn) {
-            if (this.soundEnabled) {
-                btn.innerHTML = '<i class="fas fa-volume-up"></i>';
-                btn.style.color = '#10b981';
+    has(id) {
+        return this.all().some(category => category.id === id);
+    }
+
+    // Category by id; unknown ids (e.g. a removed category) show as Other
+    get(id) {
+        const all = this.all();
+        return all.find(category => category.id === id) ||
+            all.find(category => category.id === FALLBACK_CATEGORY);
+    }
+
+    isBuiltIn(id) {
+        return BUILT_IN_CATEGORIES.some(category => category.id === id);
+    }
+
+    // Problems with a category definition (empty when valid)
+    static validate(category, existing) {
+        const errors = [];
+        if (!category || typeof category.name !== 'string' || !category.name.trim()) {
+            errors.push('Please enter a category name');
+        } else if (existing.some(other => other.name.toLowerCase() === category.name.trim().toLowerCase())) {
+            errors.push(`A category named ${category.name.trim()} already exists`);
+        }
+        if (!category || !/^[a-z0-9-]+$/.test(category.icon)) {
+            errors.push('Icon must be a Font Awesome icon name, e.g. toolbox');
+        }
+        if (!category || !/^#[0-9a-f]{6}$/i.test(category.color)) {
+            errors.push('Color must be a hex color, e.g. #22c55e');
+        }
+        if (!category || !ATTACH_METHODS.includes(category.attachMethod)) {
+            errors.push('Unknown attach method');
+        }
+        if (!category || !(category.leashDistance > 0)) {
+            errors.push('Default leash distance must be greater than 0');
+        }
+        return errors;
+    }
+
+    // Add a custom category; throws if invalid. Returns the new category.
+    add(fields) {
+        const errors = CategoryRegistry.validate(fields, this.all());
+        if (errors.length) {
+            throw new Error(errors.join('\n'));
+        }
+        
+        const base = fields.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+        let id = base;
+        for (let n = 2; this.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        
+        const category = {
+            id: id,
+            name: fields.name.trim(),
+            icon: fields.icon,
+            color: fields.color,
+            attachMethod: fields.attachMethod,
+            leashDistance: Number(fields.leashDistance)
+        };
+        this.custom.push(category);
+        this.save();
+        return category;
+    }
+
+    remove(id) {
+        this.custom = this.custom.filter(category => category.id !== id);
+        this.save();
+    }
+}
+
+// Item model
+const ITEM_NAME_MAX_LENGTH = 80;
+const ITEM_NOTES_MAX_LENGTH = 2000;
+const ITEM_TAG_MAX_LENGTH = 30;
+const MAX_TAGS_PER_ITEM = 20;
+const ITEM_PERSON_MAX_LENGTH = 60;      // Owner and borrower names
+
+// Lending items to team members
+const OWNER_STORAGE_KEY = 'traceit_owner';              // Owner name last used on this device
+const LOAN_CHECK_INTERVAL = 60 * 1000;                  // How often overdue loans are checked (ms)
+const LOAN_REMINDER_INTERVAL = 24 * 60 * 60 * 1000;     // Overdue reminders repeat daily
+const LOAN_REMINDERS_KEY = 'traceit_loan_reminders';    // Last reminder per loan, kept on this device only
+const MAX_LOANS_PER_ITEM = 50;                          // Oldest finished loans are dropped beyond this
+
+// Tracked items page: default search/filter/sort
+const ITEM_SORT_ORDERS = ['name', 'lastSeen', 'distance'];
+const DEFAULT_ITEM_VIEW = { query: '', category: '', attachMethod: '', sort: 'name' };
+
+// Fields the edit page may change (location changes through sightings)
+const EDITABLE_ITEM_FIELDS = ['name', 'category', 'attachMethod', 'owner', 'notes', 'tags', 'photos', 'tag', 'leash'];
+
+// Random version 4 UUID
+function generateUUID() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// "work, Travel ,work" -> ['work', 'Travel']
+function parseTags(text) {
+    const tags = [];
+    String(text || '').split(',').forEach(tag => {
+        const clean = tag.trim();
+        if (clean && !tags.some(existing => existing.toLowerCase() === clean.toLowerCase())) {
+            tags.push(clean);
+        }
+    });
+    return tags;
+}
+
+// A tracked item. Plain data only, so it survives IndexedDB and JSON round trips;
+// rebuild with new Item(record) after loading.
+class Item {
+    constructor(fields) {
+        this.id = fields.id;
+        this.name = fields.name;
+        this.category = fields.category || FALLBACK_CATEGORY;
+        this.attachMethod = fields.attachMethod;
+        this.location = fields.location;
+        this.photos = getItemPhotos(fields);
+        this.tag = fields.tag || null;
+        this.calibration = Item.normalizeCalibration(fields.calibration);
+        this.leash = {...DEFAULT_LEASH, ...fields.leash};
+        this.notes = fields.notes || '';
+        this.tags = Array.isArray(fields.tags) ? fields.tags : [];
+        this.owner = fields.owner || '';
+        this.loan = fields.loan ? Item.normalizeLoan(fields.loan) : null;
+        this.loanHistory = (fields.loanHistory || []).map(loan => Item.normalizeLoan(loan));
+        this.sightings = fields.sightings || [];
+        this.fieldTimes = {...fields.fieldTimes};     // Field -> last edit time (ms), for sync
+        this.createdAt = parseDate(fields.createdAt);
+        this.updatedAt = parseDate(fields.updatedAt || fields.createdAt);
+        this.lastSeen = parseDate(fields.lastSeen);
+    }
+
+    // Loan dates as Date objects (optional ones stay null).
+    // Older saves kept the last reminder on the loan; that now lives on the device.
+    static normalizeLoan(loan) {
+        const optionalDate = (value) => (value ? parseDate(value) : null);
+        const { remindedAt, ...fields } = loan;
+        return {
+            ...fields,
+            lentAt: parseDate(loan.lentAt),
+            dueAt: optionalDate(loan.dueAt),
+            returnedAt: optionalDate(loan.returnedAt)
+        };
+    }
+
+    // Tag path-loss calibration, or null for none or an out-of-range one
+    static normalizeCalibration(calibration) {
+        if (!calibration) return null;
+        const { txPower, pathLossExponent } = calibration;
+        if (!Number.isFinite(txPower) || !Number.isFinite(pathLossExponent) ||
+            pathLossExponent < MIN_PATH_LOSS_EXPONENT || pathLossExponent > MAX_PATH_LOSS_EXPONENT) {
+            return null;
+        }
+        return { txPower, pathLossExponent };
+    }
+
+    // New item with a fresh id and timestamps; throws if invalid
+    static create(fields) {
+        const now = new Date();
+        const item = new Item({...fields, id: generateUUID(), createdAt: now, updatedAt: now, lastSeen: now});
+        Item.assertValid(item);
+        return item;
+    }
+
+    // List of problems with the given fields (empty when valid)
+    static validate(fields) {
+        const errors = [];
+        if (!fields || typeof fields.id !== 'string' || !fields.id) {
+            errors.push('Item has no id');
+        }
+        if (typeof fields.name !== 'string' || !fields.name.trim()) {
+            errors.push('Please enter an item name');
+        } else if (fields.name.length > ITEM_NAME_MAX_LENGTH) {
+            errors.push(`Name must be at most ${ITEM_NAME_MAX_LENGTH} characters`);
+        }
+        if (typeof fields.category !== 'string' || !fields.category) {
+            errors.push('Please choose a category');
+        }
+        if (!ATTACH_METHODS.includes(fields.attachMethod)) {
+            errors.push('Unknown attach method');
+        }
+        if (!isValidCoordinate(fields.location)) {
+            errors.push('Item has an invalid location');
+        }
+        if (typeof (fields.notes || '') !== 'string' || (fields.notes || '').length > ITEM_NOTES_MAX_LENGTH) {
+            errors.push(`Notes must be at most ${ITEM_NOTES_MAX_LENGTH} characters`);
+        }
+        const tags = fields.tags || [];
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag || tag.length > ITEM_TAG_MAX_LENGTH)) {
+            errors.push(`Tags must be non-empty and at most ${ITEM_TAG_MAX_LENGTH} characters`);
+        } else if (tags.length > MAX_TAGS_PER_ITEM) {
+            errors.push(`Items can have up to ${MAX_TAGS_PER_ITEM} tags`);
+        }
+        const photos = getItemPhotos(fields);
+        if (!Array.isArray(photos) || photos.length > MAX_PHOTOS_PER_ITEM) {
+            errors.push(`Items can have up to ${MAX_PHOTOS_PER_ITEM} photos`);
+        }
+        if (typeof (fields.owner || '') !== 'string' || (fields.owner || '').length > ITEM_PERSON_MAX_LENGTH) {
+            errors.push(`Owner must be at most ${ITEM_PERSON_MAX_LENGTH} characters`);
+        }
+        if (fields.calibration && !Item.normalizeCalibration(fields.calibration)) {
+            errors.push('Tag calibration is out of range');
+        }
+        if (fields.loan) {
+            const borrower = fields.loan.borrower;
+            if (typeof borrower !== 'string' || !borrower.trim()) {
+                errors.push('Please enter who is borrowing the item');
+            } else if (borrower.length > ITEM_PERSON_MAX_LENGTH) {
+                errors.push(`Borrower must be at most ${ITEM_PERSON_MAX_LENGTH} characters`);
+            }
+            if (fields.loan.dueAt && isNaN(new Date(fields.loan.dueAt).getTime())) {
+                errors.push('Loan has an invalid due date');
+            }
+        }
+        return errors;
+    }
+
+    static assertValid(fields) {
+        const errors = Item.validate(fields);
+        if (errors.length) {
+            throw new Error(errors.join('\n'));
+        }
+    }
+
+    // Apply edits to editable fields; throws if the result is invalid.
+    // Returns the names of the fields that changed.
+    update(changes) {
+        const fields = EDITABLE_ITEM_FIELDS.filter(field => field in changes);
+        Item.assertValid({...this, ...changes});
+        
+        const changed = fields.filter(field => JSON.stringify(changes[field]) !== JSON.stringify(this[field]));
+        changed.forEach(field => {
+            this[field] = changes[field];
+        });
+        if (changed.length) {
+            this.updatedAt = new Date();
+        }
+        return changed;
+    }
+
+    // Hand the item to a borrower until the optional due date; throws if invalid
+    lend(borrower, dueAt = null, location = null) {
+        if (this.loan) {
+            throw new Error(`${this.name} is already lent to ${this.loan.borrower}`);
+        }
+        const now = new Date();
+        if (dueAt && dueAt <= now) {
+            throw new Error('The due date must be in the future');
+        }
+        
+        const loan = {
+            borrower: String(borrower || '').trim(),
+            lentAt: now,
+            dueAt: dueAt,
+            lentFrom: location ? { lat: location.lat, lng: location.lng } : null
+        };
+        Item.assertValid({...this, loan});
+        
+        this.loan = loan;
+        this.updatedAt = now;
+        return loan;
+    }
+
+    // Back with the owner: close the loan where it was handed over.
+    // Returns the finished loan.
+    returnLoan(location = null) {
+        if (!this.loan) {
+            throw new Error(`${this.name} is not lent out`);
+        }
+        
+        const now = new Date();
+        const finished = {
+            ...this.loan,
+            returnedAt: now,
+            returnedTo: location ? { lat: location.lat, lng: location.lng } : null
+        };
+        this.loanHistory = [...this.loanHistory, finished].slice(-MAX_LOANS_PER_ITEM);
+        this.loan = null;
+        this.updatedAt = now;
+        return finished;
+    }
+
+    isOverdue(now = new Date()) {
+        return !!(this.loan && this.loan.dueAt && this.loan.dueAt < now);
+    }
+}
+
+// IndexedDB storage
+const DB_NAME = 'traceit';
+const DB_VERSION = 4;
+const LEGACY_ITEMS_KEY = 'traceit_items';
+const ACTIVITY_STORAGE_KEY = 'traceit_activity';
+const ACTIVITY_LOG_LIMIT = 2000;      // Oldest entries are dropped beyond this
+
+// Schema migrations by version; each upgrades the previous version's schema.
+const DB_MIGRATIONS = {
+    1: (db) => {
+        db.createObjectStore('items', { keyPath: 'id' });
+        db.createObjectStore('photos', { keyPath: 'itemId' });
+        const history = db.createObjectStore('history', { autoIncrement: true });
+        history.createIndex('itemId', 'itemId');
+    },
+    2: (db, transaction) => {
+        // Several photos per item: { itemId, blobs: [primary, ...] }
+        transaction.objectStore('photos').openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.update({ itemId: cursor.value.itemId, blobs: [cursor.value.blob] });
+            cursor.continue();
+        };
+    },
+    3: (db) => {
+        // Activity log entries, oldest first by id
+        db.createObjectStore('activity', { keyPath: 'id', autoIncrement: true });
+    },
+    4: (db, transaction) => {
+        // Sightings keyed by [itemId, time] instead of appended to an auto-numbered
+        // history, so a save can put any of them, older ones included
+        const sightings = db.createObjectStore('sightings');
+        transaction.objectStore('history').openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                db.deleteObjectStore('history');
+                return;
+            }
+            sightings.put(cursor.value, sightingKey(cursor.value.itemId, cursor.value));
+            cursor.continue();
+        };
+    }
+};
+
+// Key of a stored sighting: [itemId, time in ms]
+function sightingKey(itemId, sighting) {
+    return [itemId, new Date(sighting.timestamp).getTime()];
+}
+
+// Convert a base64 data URL to a Blob
+function dataURLToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: type });
+}
+
+// Human readable byte size
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+// Parse legacy localStorage items, converting date strings back to Date objects
+function readLegacyItems(storage) {
+    const saved = storage && storage.getItem(LEGACY_ITEMS_KEY);
+    if (!saved) return [];
+    
+    return JSON.parse(saved).map(item => ({
+        ...item,
+        createdAt: new Date(item.createdAt),
+        lastSeen: new Date(item.lastSeen),
+        sightings: item.sightings && item.sightings.map(sighting => ({
+            ...sighting,
+            timestamp: new Date(sighting.timestamp)
+        }))
+    }));
+}
+
+// Move legacy items (with data URL photos) into the current schema
+function importLegacyItems(transaction, legacyItems) {
+    legacyItems.forEach(item => {
+        const { photo, photos, sightings, ...record } = item;
+        const blobs = getItemPhotos(item).map(dataURLToBlob);
+        transaction.objectStore('items').put({...record, hasPhoto: blobs.length > 0});
+        if (blobs.length) {
+            transaction.objectStore('photos').put({ itemId: item.id, blobs: blobs });
+        }
+        (sightings || []).forEach(sighting => {
+            transaction.objectStore('sightings').put({...sighting, itemId: item.id}, sightingKey(item.id, sighting));
+        });
+    });
+}
+
+// Items, photos (as Blobs) and sighting history in IndexedDB
+class IndexedDBItemStore {
+    constructor(indexedDB, storage) {
+        this.label = 'IndexedDB';
+        this.indexedDB = indexedDB;
+        this.storage = storage || null;
+        this.dbPromise = null;
+        
+        // What is already persisted, so saves only write changes
+        this.savedPhotos = new Map();       // itemId -> photo URLs joined
+        this.photoBlobs = new Map();        // object URL -> Blob
+        this.savedSightings = new Map();    // itemId -> Set of stored sighting times
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        
+        this.dbPromise = new Promise((resolve, reject) => {
+            const context = { legacyItems: [], importedLegacy: false };
+            const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onupgradeneeded = (event) => {
+                if (event.oldVersion === 0) {
+                    context.legacyItems = readLegacyItems(this.storage);
+                }
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    DB_MIGRATIONS[version](request.result, request.transaction);
+                }
+                importLegacyItems(request.transaction, context.legacyItems);
+                context.importedLegacy = context.legacyItems.length > 0;
+            };
+            request.onsuccess = () => {
+                // The upgrade committed, so the legacy copy is no longer needed
+                if (context.importedLegacy) {
+                    this.storage.removeItem(LEGACY_ITEMS_KEY);
+                }
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Storage upgrade blocked - close other TraceIt tabs'));
+        });
+        
+        return this.dbPromise;
+    }
+
+    // Run work(transaction) and resolve with its result once the transaction commits
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const result = work(transaction);
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    // Load all items with photos (as object URLs) and sightings attached
+    async loadItems() {
+        const data = await this.transaction(['items', 'photos', 'sightings'], 'readonly', (transaction) => {
+            const data = {};
+            ['items', 'photos', 'sightings'].forEach(name => {
+                transaction.objectStore(name).getAll().onsuccess = (event) => {
+                    data[name] = event.target.result;
+                };
+            });
+            return data;
+        });
+        
+        const photos = new Map(data.photos.map(photo => [photo.itemId, photo.blobs]));
+        const sightings = new Map();
+        data.sightings.forEach(({ itemId, ...sighting }) => {
+            if (!sightings.has(itemId)) sightings.set(itemId, []);
+            sightings.get(itemId).push(sighting);
+        });
+        
+        return data.items.map(({ hasPhoto, ...record }) => {
+            const storedSightings = sightings.get(record.id) || [];
+            const itemSightings = storedSightings
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .slice(-MAX_SIGHTINGS_PER_ITEM);
+            const itemPhotos = (photos.get(record.id) || []).map(blob => {
+                const url = URL.createObjectURL(blob);
+                this.photoBlobs.set(url, blob);
+                return url;
+            });
+            
+            this.savedPhotos.set(record.id, itemPhotos.join('\n'));
+            // All stored times, so the next save also drops any beyond the limit
+            this.savedSightings.set(record.id,
+                new Set(storedSightings.map(sighting => sightingKey(record.id, sighting)[1])));
+            
+            return {...record, photos: itemPhotos, sightings: itemSightings};
+        });
+    }
+
+    // Write items in one transaction; photos are only rewritten when changed, and
+    // stored sightings are brought in line with each item's history
+    async saveItems(items) {
+        const written = [];
+        
+        await this.transaction(['items', 'photos', 'sightings'], 'readwrite', (transaction) => {
+            items.forEach(item => {
+                const { photos, sightings, ...record } = item;
+                const photoKey = (photos || []).join('\n');
+                transaction.objectStore('items').put({...record, hasPhoto: !!photoKey});
+                
+                if (photoKey !== this.savedPhotos.get(item.id)) {
+                    const blobs = (photos || [])
+                        .map(photo => (photo.startsWith('data:') ? dataURLToBlob(photo) : this.photoBlobs.get(photo)))
+                        .filter(Boolean);
+                    if (blobs.length) {
+                        transaction.objectStore('photos').put({ itemId: item.id, blobs: blobs });
+                    } else {
+                        transaction.objectStore('photos').delete(item.id);
+                    }
+                }
+                
+                const stored = this.savedSightings.get(item.id) || new Set();
+                const times = new Set();
+                (sightings || []).forEach(sighting => {
+                    const key = sightingKey(item.id, sighting);
+                    times.add(key[1]);
+                    if (!stored.has(key[1])) {
+                        transaction.objectStore('sightings').put({...sighting, itemId: item.id}, key);
+                    }
+                });
+                stored.forEach(time => {
+                    if (!times.has(time)) {
+                        transaction.objectStore('sightings').delete([item.id, time]);
+                    }
+                });
+                
+                written.push([item.id, photoKey, times]);
+            });
+        });
+        
+        written.forEach(([itemId, photoKey, times]) => {
+            this.savedPhotos.set(itemId, photoKey);
+            this.savedSightings.set(itemId, times);
+        });
+    }
+
+    // Remove an item with its photos and history
+    async deleteItem(itemId) {
+        await this.transaction(['items', 'photos', 'sightings'], 'readwrite', (transaction) => {
+            transaction.objectStore('items').delete(itemId);
+            transaction.objectStore('photos').delete(itemId);
+            transaction.objectStore('sightings').delete(IDBKeyRange.bound([itemId, -Infinity], [itemId, Infinity]));
+        });
+        
+        this.savedPhotos.delete(itemId);
+        this.savedSightings.delete(itemId);
+    }
+
+    // Activity log entries, oldest first
+    async loadActivity() {
+        const request = await this.transaction(['activity'], 'readonly', (transaction) =>
+            transaction.objectStore('activity').getAll());
+        return request.result;
+    }
+
+    // Append an activity entry, dropping the oldest beyond ACTIVITY_LOG_LIMIT
+    async addActivity(entry) {
+        await this.transaction(['activity'], 'readwrite', (transaction) => {
+            const activity = transaction.objectStore('activity');
+            activity.add(entry);
+            activity.count().onsuccess = (event) => {
+                let excess = event.target.result - ACTIVITY_LOG_LIMIT;
+                if (excess <= 0) return;
+                
+                activity.openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor || excess-- <= 0) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    // Storage usage and quota, if the browser reports them
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        return navigator.storage.estimate();
+    }
+}
+
+// Fallback when IndexedDB is unavailable: items and activity as localStorage JSON
+class LocalStorageItemStore {
+    constructor(storage) {
+        this.label = 'Local storage';
+        this.storage = storage;
+    }
+
+    async loadItems() {
+        return readLegacyItems(this.storage).map(normalizeItemPhotos);
+    }
+
+    async saveItems(items) {
+        this.storage.setItem(LEGACY_ITEMS_KEY, JSON.stringify(items));
+    }
+
+    // Deleted items disappear with the next saveItems
+    async deleteItem() {}
+
+    async loadActivity() {
+        const saved = this.storage.getItem(ACTIVITY_STORAGE_KEY);
+        return saved ? JSON.parse(saved).map(entry => ({...entry, timestamp: new Date(entry.timestamp)})) : [];
+    }
+
+    async addActivity(entry) {
+        const entries = await this.loadActivity();
+        entries.push({...entry, id: entries.length ? entries[entries.length - 1].id + 1 : 1});
+        this.storage.setItem(ACTIVITY_STORAGE_KEY, JSON.stringify(entries.slice(-ACTIVITY_LOG_LIMIT)));
+    }
+
+    async estimate() {
+        return null;
+    }
+}
+
+// Pick the best available item store
+function createItemStore() {
+    if (typeof indexedDB !== 'undefined' && indexedDB) {
+        return new IndexedDBItemStore(indexedDB, localStorage);
+    }
+    return new LocalStorageItemStore(localStorage);
+}
+
+// Item inventory export/import
+const EXPORT_BUNDLE_FORMAT = 'traceit-items';
+const EXPORT_BUNDLE_VERSION = 2;      // 2: `photos` array instead of `photo`
+
+// Offer content as a file download
+function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Photo as a data URL (stored photos are object URLs)
+async function photoToDataURL(photo) {
+    if (!photo || photo.startsWith('data:')) return photo || null;
+    
+    const response = await fetch(photo);
+    return blobToDataURL(await response.blob());
+}
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toISO(date) {
+    return new Date(date).toISOString();
+}
+
+// Plain JSON copy of an item (photos handled separately)
+function serializeItem(item) {
+    const { photos, ...rest } = item;
+    return JSON.parse(JSON.stringify(rest));
+}
+
+// Versioned JSON bundle of items; photos are included as data URLs when given
+function buildExportBundle(items, photos = null) {
+    return {
+        format: EXPORT_BUNDLE_FORMAT,
+        version: EXPORT_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        includesPhotos: !!photos,
+        items: items.map(item => ({
+            ...serializeItem(item),
+            photos: photos ? photos.get(item.id) || [] : []
+        }))
+    };
+}
+
+function itemsToCSV(items) {
+    const columns = ['id', 'name', 'category', 'attachMethod', 'latitude', 'longitude', 'accuracy',
+        'lastSeen', 'createdAt', 'sightings', 'owner', 'borrower', 'dueAt'];
+    const rows = items.map(item => [
+        item.id,
+        item.name,
+        item.category,
+        item.attachMethod,
+        item.location.lat,
+        item.location.lng,
+        item.location.accuracy ?? '',
+        toISO(item.lastSeen),
+        toISO(item.createdAt),
+        (item.sightings || []).length,
+        item.owner || '',
+        item.loan ? item.loan.borrower : '',
+        item.loan && item.loan.dueAt ? toISO(item.loan.dueAt) : ''
+    ].map(escapeCSV).join(','));
+    
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// GPX: a waypoint per item plus a track of its sightings
+function itemsToGPX(items) {
+    const waypoints = items.map(item => `
+  <wpt lat="${item.location.lat}" lon="${item.location.lng}">
+    <time>${toISO(item.lastSeen)}</time>
+    <name>${escapeXML(item.name)}</name>
+    <desc>${escapeXML(`${item.category} · ${item.attachMethod}`)}</desc>
+    <type>${escapeXML(item.category)}</type>
+  </wpt>`).join('');
+    
+    const tracks = items.filter(item => (item.sightings || []).length > 1).map(item => `
+  <trk>
+    <name>${escapeXML(item.name)}</name>
+    <trkseg>${item.sightings.map(sighting => `
+      <trkpt lat="${sighting.lat}" lon="${sighting.lng}"><time>${toISO(sighting.timestamp)}</time></trkpt>`).join('')}
+    </trkseg>
+  </trk>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="TraceIt" xmlns="http://www.topografix.com/GPX/1/1">${waypoints}${tracks}
+</gpx>
+`;
+}
+
+// KML: a placemark per item plus a line for its sightings (KML is lng,lat order)
+function itemsToKML(items) {
+    const placemarks = items.map(item => `
+    <Placemark>
+      <name>${escapeXML(item.name)}</name>
+      <description>${escapeXML(`${item.category} · ${item.attachMethod} · last seen ${toISO(item.lastSeen)}`)}</description>
+      <TimeStamp><when>${toISO(item.lastSeen)}</when></TimeStamp>
+      <Point><coordinates>${item.location.lng},${item.location.lat}</coordinates></Point>
+    </Placemark>`).join('');
+    
+    const trails = items.filter(item => (item.sightings || []).length > 1).map(item => `
+    <Placemark>
+      <name>${escapeXML(`${item.name} trail`)}</name>
+      <LineString><coordinates>${item.sightings.map(sighting => `${sighting.lng},${sighting.lat}`).join(' ')}</coordinates></LineString>
+    </Placemark>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>TraceIt items</name>${placemarks}${trails}
+  </Document>
+</kml>
+`;
+}
+
+function isValidCoordinate(location) {
+    return !!location && isFinite(location.lat) && isFinite(location.lng) &&
+        Math.abs(location.lat) <= 90 && Math.abs(location.lng) <= 180;
+}
+
+function parseDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? new Date() : date;
+}
+
+// Parse and validate an exported JSON bundle; returns items ready to store
+function parseImportBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+    
+    if (!bundle || bundle.format !== EXPORT_BUNDLE_FORMAT || !Array.isArray(bundle.items)) {
+        throw new Error('Not a TraceIt item export');
+    }
+    if (bundle.version > EXPORT_BUNDLE_VERSION) {
+        throw new Error(`Export version ${bundle.version} is newer than this app supports`);
+    }
+    
+    const ids = new Set();
+    return bundle.items.map((item, index) => {
+        const label = `Item ${index + 1}`;
+        if (!item) throw new Error(`${label} is empty`);
+        
+        const errors = Item.validate({...item, category: item.category || FALLBACK_CATEGORY});
+        if (errors.length) throw new Error(`${label}: ${errors[0]}`);
+        if (ids.has(item.id)) throw new Error(`${label} repeats id ${item.id}`);
+        if (getItemPhotos(item).some(photo => !/^data:image\//.test(photo))) {
+            throw new Error(`${label} has an invalid photo`);
+        }
+        ids.add(item.id);
+        
+        return new Item({
+            ...item,
+            name: item.name.trim(),
+            sightings: (Array.isArray(item.sightings) ? item.sightings : [])
+                .filter(isValidCoordinate)
+                .map(sighting => ({...sighting, timestamp: parseDate(sighting.timestamp)}))
+        });
+    });
+}
+
+// Reference photos: several per item, the first is the primary one
+const MAX_PHOTOS_PER_ITEM = 8;
+const PHOTO_MAX_DIMENSION = 1024;    // Longest side after downscaling (px)
+const PHOTO_JPEG_QUALITY = 0.85;
+
+// Photos of an item, accepting the older single `photo` field
+function getItemPhotos(item) {
+    if (Array.isArray(item.photos)) return item.photos;
+    return item.photo ? [item.photo] : [];
+}
+
+// Move a legacy `photo` into `photos`
+function normalizeItemPhotos(item) {
+    const { photo, ...rest } = item;
+    return {...rest, photos: getItemPhotos(item)};
+}
+
+// EXIF orientation (1-8) of a JPEG, 1 if absent or truncated
+function readExifOrientation(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+    
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        // Reads stay inside the segment and the file, whatever its offsets claim
+        const end = Math.min(offset + 2 + length, view.byteLength);
+        const fits = (position, size) => position + size <= end;
+        
+        // APP1 segment starting with "Exif\0\0"
+        if (marker === 0xFFE1 && fits(offset + 4, 4) && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            if (!fits(tiff, 8)) return 1;
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            if (!fits(ifd, 2)) return 1;
+            const entries = view.getUint16(ifd, little);
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (!fits(entry, 12)) return 1;
+                if (view.getUint16(entry, little) === 0x0112) {
+                    const orientation = view.getUint16(entry + 8, little);
+                    return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                }
+            }
+            return 1;
+        }
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        offset += 2 + length;
+    }
+    return 1;
+}
+
+// Decode an image file upright. createImageBitmap applies EXIF orientation itself;
+// otherwise it is applied when drawing unless the browser already does it for <img>.
+async function decodeImageFile(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return { image: await createImageBitmap(file, { imageOrientation: 'from-image' }), orientation: 1 };
+        } catch (error) {
+            // Fall through to <img> decoding
+        }
+    }
+    
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await loadImage(url);
+        const autoOriented = typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+        const orientation = autoOriented ? 1 : readExifOrientation(await file.arrayBuffer());
+        return { image, orientation };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Downscale (and rotate/flip for EXIF orientation) into a JPEG data URL
+function renderPhoto(source, orientation = 1, maxDimension = PHOTO_MAX_DIMENSION) {
+    const width = source.videoWidth || source.naturalWidth || source.width;
+    const height = source.videoHeight || source.naturalHeight || source.height;
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    const drawWidth = Math.round(width * scale);
+    const drawHeight = Math.round(height * scale);
+    const swapped = orientation >= 5;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = swapped ? drawHeight : drawWidth;
+    canvas.height = swapped ? drawWidth : drawHeight;
+    const ctx = canvas.getContext('2d');
+    
+    const transforms = {
+        2: [-1, 0, 0, 1, drawWidth, 0],
+        3: [-1, 0, 0, -1, drawWidth, drawHeight],
+        4: [1, 0, 0, -1, 0, drawHeight],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, drawHeight, 0],
+        7: [0, -1, -1, 0, drawHeight, drawWidth],
+        8: [0, -1, 1, 0, 0, drawWidth]
+    };
+    if (transforms[orientation]) {
+        ctx.transform(...transforms[orientation]);
+    }
+    ctx.drawImage(source, 0, 0, drawWidth, drawHeight);
+    return canvas.toDataURL('image/jpeg', PHOTO_JPEG_QUALITY);
+}
+
+// On-device visual matching for camera scans.
+// Frames and reference photos are sampled to small squares and compared by
+// perceptual hash (DCT), difference hash and colour histogram.
+const VISION_SAMPLE_SIZE = 32;
+const VISUAL_MATCH_THRESHOLD = 0.75;        // Confidence that records a camera sighting
+const VISUAL_PARTIAL_THRESHOLD = 0.5;
+const VISION_SCAN_INTERVAL = 1000;          // Time between analysed frames (ms)
+const CAMERA_SIGHTING_INTERVAL = 60000;     // Minimum time between camera sightings per item (ms)
+
+// Luminance of RGBA pixels
+function toGrayscale(data, size) {
+    const gray = new Float32Array(size * size);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return gray;
+}
+
+// 63-bit perceptual hash: low DCT frequencies above/below their median
+function perceptualHash(gray, size) {
+    const n = 8;
+    const coefficients = [];
+    for (let u = 0; u < n; u++) {
+        for (let v = 0; v < n; v++) {
+            if (u === 0 && v === 0) continue;
+            let sum = 0;
+            for (let y = 0; y < size; y++) {
+                const cy = Math.cos(((2 * y + 1) * u * Math.PI) / (2 * size));
+                for (let x = 0; x < size; x++) {
+                    sum += gray[y * size + x] * cy * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * size));
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+    
+    const sorted = coefficients.slice().sort((a, b) => a - b);
+    const mid = sorted[Math.floor(sorted.length / 2)];
+    return Uint8Array.from(coefficients, value => (value > mid ? 1 : 0));
+}
+
+// 64-bit difference hash: brightness gradient between neighbouring cells of a 9x8 grid
+function differenceHash(gray, size) {
+    const cols = 9;
+    const rows = 8;
+    const cells = new Float32Array(cols * rows);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const cell = Math.floor((y * rows) / size) * cols + Math.floor((x * cols) / size);
+            cells[cell] += gray[y * size + x];
+        }
+    }
+    
+    const bits = new Uint8Array(rows * (cols - 1));
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols - 1; col++) {
+            bits[row * (cols - 1) + col] = cells[row * cols + col] > cells[row * cols + col + 1] ? 1 : 0;
+        }
+    }
+    return bits;
+}
+
+// Normalised histogram: 12 hue bins weighted by saturation, 4 brightness bins for greys
+function colorHistogram(data, size) {
+    const histogram = new Float32Array(16);
+    let total = 0;
+    for (let i = 0; i < size * size; i++) {
+        const r = data[i * 4] / 255;
+        const g = data[i * 4 + 1] / 255;
+        const b = data[i * 4 + 2] / 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const saturation = max === 0 ? 0 : (max - min) / max;
+        
+        if (saturation < 0.2) {
+            histogram[12 + Math.min(3, Math.floor(max * 4))] += 1;
+        } else {
+            let hue;
+            if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+            else if (max === g) hue = (b - r) / (max - min) + 2;
+            else hue = (r - g) / (max - min) + 4;
+            histogram[Math.floor(hue * 2) % 12] += saturation;
+        }
+    }
+    for (let i = 0; i < histogram.length; i++) total += histogram[i];
+    return histogram.map(value => (total ? value / total : 0));
+}
+
+// Features of a square RGBA sample ({ data, size })
+function computeImageFeatures(sample) {
+    const gray = toGrayscale(sample.data, sample.size);
+    return {
+        phash: perceptualHash(gray, sample.size),
+        dhash: differenceHash(gray, sample.size),
+        histogram: colorHistogram(sample.data, sample.size)
+    };
+}
+
+// 1 for identical hashes, 0 for unrelated ones (half the bits differ) or worse
+function hashSimilarity(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) distance++;
+    }
+    return Math.max(0, 1 - (2 * distance) / a.length);
+}
+
+// Match confidence (0-1) between two feature sets
+function compareImageFeatures(a, b) {
+    let overlap = 0;
+    for (let i = 0; i < a.histogram.length; i++) {
+        overlap += Math.min(a.histogram[i], b.histogram[i]);
+    }
+    return Math.min(1, 0.45 * hashSimilarity(a.phash, b.phash) +
+        0.25 * hashSimilarity(a.dhash, b.dhash) +
+        0.3 * overlap);
+}
+
+// Best confidence per item for a set of frame samples against reference features
+function matchFrameFeatures(frames, references) {
+    const best = new Map();
+    frames.forEach(frame => {
+        references.forEach(reference => {
+            const confidence = compareImageFeatures(frame, reference.features);
+            if (confidence > (best.get(reference.itemId) || 0)) {
+                best.set(reference.itemId, confidence);
+            }
+        });
+    });
+    return Array.from(best, ([itemId, confidence]) => ({ itemId, confidence }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Worker entry point: keeps reference features and answers match requests
+function visionWorkerMain(scope) {
+    let references = [];
+    scope.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'references') {
+            references = message.samples.map(sample => ({
+                itemId: sample.itemId,
+                features: computeImageFeatures(sample)
+            }));
+            scope.postMessage({ id: message.id, type: 'references', count: references.length });
+        } else if (message.type === 'match') {
+            const frames = message.samples.map(computeImageFeatures);
+            scope.postMessage({ id: message.id, type: 'match', results: matchFrameFeatures(frames, references) });
+        }
+    };
+}
+
+// Runs matching in a Web Worker built from the functions above,
+// or on the main thread where workers are unavailable
+class VisualMatcher {
+    constructor() {
+        this.requests = new Map();
+        this.nextId = 1;
+        this.worker = null;
+        this.references = [];
+        this.referenceSamples = [];
+        
+        if (typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && URL.createObjectURL) {
+            try {
+                const source = [toGrayscale, perceptualHash, differenceHash, colorHistogram,
+                    computeImageFeatures, hashSimilarity, compareImageFeatures, matchFrameFeatures,
+                    visionWorkerMain].map(fn => fn.toString()).join('\n') + '\nvisionWorkerMain(self);';
+                const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+                this.worker = new Worker(url);
+                URL.revokeObjectURL(url);
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (error) => {
+                    console.error('Vision worker error:', error);
+                    this.fallBackToMainThread();
+                };
+            } catch (error) {
+                console.warn('Vision worker unavailable, matching on main thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+
+    send(type, samples) {
+        if (!this.worker) {
+            return Promise.resolve(this.run(type, samples));
+        }
+        
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject, type, samples });
+            this.worker.postMessage({ id, type, samples });
+        });
+    }
+
+    run(type, samples) {
+        if (type === 'references') {
+            this.references = samples.map(sample => ({
+                itemId: sample.itemId,
+                features: computeImageFeatures(sample)
+            }));
+            return { count: this.references.length };
+        }
+        return { results: matchFrameFeatures(samples.map(computeImageFeatures), this.references) };
+    }
+
+    handleMessage(message) {
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        this.requests.delete(message.id);
+        request.resolve(message);
+    }
+
+    // Finish outstanding requests locally if the worker dies
+    fallBackToMainThread() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.run('references', this.referenceSamples);
+        this.requests.forEach(request => request.resolve(this.run(request.type, request.samples)));
+        this.requests.clear();
+    }
+
+    // samples: [{ itemId, data, size }]
+    setReferences(samples) {
+        this.referenceSamples = samples;
+        return this.send('references', samples);
+    }
+
+    // samples: [{ data, size }] from one frame; resolves to [{ itemId, confidence }]
+    match(samples) {
+        return this.send('match', samples).then(message => message.results);
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.requests.clear();
+    }
+}
+
+// Draw part of an image/video into a square RGBA sample (null if canvas is unavailable)
+function sampleImage(source, crop = null, size = VISION_SAMPLE_SIZE) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return null;
+    
+    const width = source.videoWidth || source.naturalWidth || source.width;
+    const height = source.videoHeight || source.naturalHeight || source.height;
+    const area = crop || { x: 0, y: 0, width: width, height: height };
+    ctx.drawImage(source, area.x, area.y, area.width, area.height, 0, 0, size, size);
+    return { data: ctx.getImageData(0, 0, size, size).data, size: size };
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Cannot load image'));
+        image.src = src;
+    });
+}
+
+// Background monitoring: sampling timers and leash checks run in a worker
+// so the main thread only renders what it is told
+const MONITOR_TRACKING_INTERVAL = 1000;     // Live finder refresh (ms)
+const MONITOR_LEASH_INTERVAL = 5000;        // Leash re-check, catches lost tag signals (ms)
+const MONITOR_HIDDEN_FACTOR = 4;            // Timers slow down this much in a hidden tab
+const MONITOR_LOW_BATTERY_FACTOR = 2;       // ... and this much more on a low, discharging battery
+const MONITOR_LOW_BATTERY_LEVEL = 0.2;
+
+// Distance in meters between two { lat, lng } points (Haversine formula)
+function geoDistance(coord1, coord2) {
+    if (!coord1 || !coord2) return 0;
+    
+    const R = 6371e3; // Earth's radius in meters
+    const φ1 = coord1.lat * Math.PI / 180;
+    const φ2 = coord2.lat * Math.PI / 180;
+    const Δφ = (coord2.lat - coord1.lat) * Math.PI / 180;
+    const Δλ = (coord2.lng - coord1.lng) * Math.PI / 180;
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return R * c;
+}
+
+// Initial compass bearing in degrees (clockwise from north) from one point to another
+function geoBearing(from, to) {
+    if (!from || !to) return 0;
+    
+    const dLng = (to.lng - from.lng) * Math.PI / 180;
+    const lat1 = from.lat * Math.PI / 180;
+    const lat2 = to.lat * Math.PI / 180;
+    
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) -
+              Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Why an item's leash is breached, or null.
+// item: { name, location, leash, hasTag, lastHeard } where lastHeard is the
+// time of the last real (non-simulated) tag reading, or null
+function leashBreach(item, location, now) {
+    const leash = item.leash;
+    if (!leash || !leash.enabled) return null;
+    if (leash.snoozedUntil && now < leash.snoozedUntil) return null;
+    
+    if (leash.maxDistance) {
+        const distance = geoDistance(item.location, location);
+        if (distance > leash.maxDistance) {
+            return `You left ${item.name} behind (${Math.round(distance)} m away)`;
+        }
+    }
+    
+    // An item never heard from cannot be "lost"
+    if (leash.signalLossSeconds && item.hasTag && item.lastHeard !== null) {
+        if (now - item.lastHeard > leash.signalLossSeconds * 1000) {
+            return `Lost signal from ${item.name}`;
+        }
+    }
+    
+    return null;
+}
+
+// Leash state for a snapshot { location, safeZones, items }; alerts are
+// suppressed inside safe zones
+function evaluateProximity(snapshot, now) {
+    const zone = snapshot.safeZones.find(zone =>
+        geoDistance(zone, snapshot.location) <= zone.radius) || null;
+    
+    return {
+        safeZoneId: zone ? zone.id : null,
+        items: snapshot.items.map(item => ({
+            id: item.id,
+            breach: zone ? null : leashBreach(item, snapshot.location, now)
+        }))
+    };
+}
+
+// Worker entry point: owns the timers, posts 'tick' for each one and
+// 'proximity' whenever the latest snapshot is evaluated
+function monitorWorkerMain(scope) {
+    const timers = new Map();   // name -> { interval, handle, evaluate }
+    let factor = 1;
+    let snapshot = null;
+    
+    const evaluate = () => {
+        if (!snapshot) return;
+        scope.postMessage({ type: 'proximity', ...evaluateProximity(snapshot, Date.now()) });
+    };
+    
+    const schedule = (name) => {
+        const timer = timers.get(name);
+        clearInterval(timer.handle);
+        timer.handle = setInterval(() => {
+            if (timer.evaluate) {
+                evaluate();
+            } else {
+                scope.postMessage({ type: 'tick', name });
+            }
+        }, timer.interval * factor);
+    };
+    
+    const cancel = (name) => {
+        const timer = timers.get(name);
+        if (!timer) return;
+        clearInterval(timer.handle);
+        timers.delete(name);
+    };
+    
+    scope.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'start') {
+            cancel(message.name);
+            timers.set(message.name, { interval: message.interval, handle: null, evaluate: false });
+            schedule(message.name);
+        } else if (message.type === 'stop') {
+            cancel(message.name);
+        } else if (message.type === 'throttle') {
+            factor = message.factor;
+            timers.forEach((timer, name) => schedule(name));
+        } else if (message.type === 'snapshot') {
+            snapshot = message.snapshot;
+            evaluate();
+            // Keep re-checking so signal loss and snooze expiry are noticed between updates
+            if (!timers.has('leash')) {
+                timers.set('leash', { interval: message.interval, handle: null, evaluate: true });
+                schedule('leash');
+            }
+        } else if (message.type === 'close') {
+            Array.from(timers.keys()).forEach(cancel);
+            snapshot = null;
+        }
+    };
+}
+
+// Runs the monitor in a Web Worker built from the functions above (or on the
+// main thread where workers are unavailable). Timers keep running across page
+// switches and slow down while the page is hidden or the battery is low.
+class MonitorEngine {
+    // options: { onProximity(state), onStatusChange(), document, navigator }
+    constructor(options = {}) {
+        this.onProximity = options.onProximity || (() => {});
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.callbacks = new Map();     // timer name -> callback
+        this.intervals = new Map();     // timer name -> base interval, to restart after a worker crash
+        this.nextId = 1;
+        this.snapshot = null;
+        this.factor = 1;
+        this.hidden = false;
+        this.lowBattery = false;
+        this.worker = null;
+        this.scope = null;
+        
+        if (typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && URL.createObjectURL) {
+            try {
+                const source = [geoDistance, leashBreach, evaluateProximity, monitorWorkerMain]
+                    .map(fn => fn.toString()).join('\n') + '\nmonitorWorkerMain(self);';
+                const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+                this.worker = new Worker(url);
+                URL.revokeObjectURL(url);
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (error) => {
+                    console.error('Monitor worker error:', error);
+                    this.fallBackToMainThread();
+                };
+            } catch (error) {
+                console.warn('Monitor worker unavailable, monitoring on main thread:', error);
+                this.worker = null;
+            }
+        }
+        if (!this.worker) this.runOnMainThread();
+        
+        this.watchPowerState(options.document, options.navigator);
+    }
+
+    get label() {
+        const mode = this.worker ? 'Worker' : 'Main thread';
+        return this.factor > 1 ? `${mode} (×${this.factor} slower)` : mode;
+    }
+
+    runOnMainThread() {
+        this.scope = { postMessage: (message) => this.handleMessage(message) };
+        monitorWorkerMain(this.scope);
+    }
+
+    send(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        } else if (this.scope) {
+            this.scope.onmessage({ data: message });
+        }
+    }
+
+    handleMessage(message) {
+        if (message.type === 'tick') {
+            const callback = this.callbacks.get(message.name);
+            if (callback) callback();
+        } else if (message.type === 'proximity') {
+            this.onProximity(message);
+        }
+    }
+
+    // Restart timers and the last snapshot locally if the worker dies
+    fallBackToMainThread() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.runOnMainThread();
+        this.send({ type: 'throttle', factor: this.factor });
+        this.intervals.forEach((interval, name) => this.send({ type: 'start', name, interval }));
+        if (this.snapshot) this.watch(this.snapshot);
+        this.onStatusChange();
+    }
+
+    // Scheduler used by simulated sensors and the live finder
+    every(interval, callback) {
+        const name = `timer-${this.nextId++}`;
+        this.callbacks.set(name, callback);
+        this.intervals.set(name, interval);
+        this.send({ type: 'start', name, interval });
+        
+        return () => {
+            if (!this.callbacks.delete(name)) return;
+            this.intervals.delete(name);
+            this.send({ type: 'stop', name });
+        };
+    }
+
+    // Evaluate leashes against a new snapshot (and keep re-checking it)
+    watch(snapshot) {
+        this.snapshot = snapshot;
+        this.send({ type: 'snapshot', snapshot, interval: MONITOR_LEASH_INTERVAL });
+    }
+
+    // Page Visibility and Battery Status APIs decide how hard the timers run
+    watchPowerState(doc, nav) {
+        this.doc = doc || null;
+        this.battery = null;
+        this.updatePower = () => {
+            this.hidden = !!(this.doc && this.doc.hidden);
+            this.lowBattery = !!(this.battery && !this.battery.charging &&
+                this.battery.level <= MONITOR_LOW_BATTERY_LEVEL);
+            this.setThrottle((this.hidden ? MONITOR_HIDDEN_FACTOR : 1) *
+                (this.lowBattery ? MONITOR_LOW_BATTERY_FACTOR : 1));
+        };
+        
+        if (this.doc) {
+            this.doc.addEventListener('visibilitychange', this.updatePower);
+        }
+        if (nav && typeof nav.getBattery === 'function') {
+            nav.getBattery()
+                .then(battery => {
+                    if (!this.updatePower) return;  // Terminated meanwhile
+                    this.battery = battery;
+                    battery.addEventListener('levelchange', this.updatePower);
+                    battery.addEventListener('chargingchange', this.updatePower);
+                    this.updatePower();
+                })
+                .catch(error => console.warn('Battery status unavailable:', error));
+        }
+        this.updatePower();
+    }
+
+    setThrottle(factor) {
+        if (factor === this.factor) return;
+        this.factor = factor;
+        this.send({ type: 'throttle', factor });
+        this.onStatusChange();
+    }
+
+    // Stop every timer and release the worker and event listeners
+    terminate() {
+        this.send({ type: 'close' });
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.scope = null;
+        this.callbacks.clear();
+        this.intervals.clear();
+        this.snapshot = null;
+        
+        if (this.doc) this.doc.removeEventListener('visibilitychange', this.updatePower);
+        if (this.battery) {
+            this.battery.removeEventListener('levelchange', this.updatePower);
+            this.battery.removeEventListener('chargingchange', this.updatePower);
+        }
+        this.updatePower = null;
+    }
+}
+
+// Multi-device sync through a self-hosted server (see server/sync-server.js)
+const SYNC_SETTINGS_KEY = 'traceit_sync';
+const SYNC_INTERVAL = 30000;            // Push/pull period while connected (ms)
+const SYNC_PUSH_DELAY = 2000;           // Local edits are batched for this long (ms)
+const SYNC_REQUEST_TIMEOUT = 15000;
+
+// Item fields merged one by one, the newest edit winning. Photos stay on the
+// device that took them; sighting histories are combined.
+const SYNC_FIELDS = ['name', 'category', 'attachMethod', 'location', 'notes', 'tags', 'tag', 'leash', 'lastSeen',
+    'owner', 'loan', 'loanHistory'];
+
+// Wire format of an item: field values, when each was last edited and sightings
+function itemToSyncRecord(item, deviceId) {
+    const data = serializeItem(item);
+    const fields = {};
+    SYNC_FIELDS.forEach(field => {
+        fields[field] = data[field] === undefined ? null : data[field];
+    });
+    
+    return {
+        id: item.id,
+        deviceId: deviceId,
+        createdAt: data.createdAt,
+        fields: fields,
+        fieldTimes: {...item.fieldTimes},
+        sightings: data.sightings || []
+    };
+}
+
+function latestFieldTime(fieldTimes) {
+    return Math.max(0, ...Object.values(fieldTimes || {}));
+}
+
+// Union of sighting histories, oldest first and capped
+function mergeSightings(...histories) {
+    const sightings = new Map();
+    histories.flat().forEach(sighting => {
+        const timestamp = new Date(sighting.timestamp);
+        sightings.set(`${timestamp.getTime()}:${sighting.lat}:${sighting.lng}`, {...sighting, timestamp});
+    });
+    
+    return Array.from(sightings.values())
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-MAX_SIGHTINGS_PER_ITEM);
+}
+
+// Merge a remote record into the local item (null if there is none).
+// Returns the merged Item, or null when the item should be deleted.
+function mergeSyncRecord(local, record) {
+    if (record.deleted) {
+        // An edit made after the deletion keeps the item
+        return local && latestFieldTime(local.fieldTimes) > record.deletedAt ? local : null;
+    }
+    
+    if (!local) {
+        return new Item({
+            ...record.fields,
+            id: record.id,
+            createdAt: record.createdAt,
+            updatedAt: latestFieldTime(record.fieldTimes) || record.createdAt,
+            fieldTimes: {...record.fieldTimes},
+            sightings: mergeSightings(record.sightings || []),
+            photos: []
+        });
+    }
+    
+    const localData = serializeItem(local);
+    const fields = {};
+    const fieldTimes = {...local.fieldTimes};
+    SYNC_FIELDS.forEach(field => {
+        const localTime = local.fieldTimes[field] || 0;
+        const remoteTime = record.fieldTimes[field] || 0;
+        const localValue = JSON.stringify(localData[field] === undefined ? null : localData[field]);
+        const remoteValue = JSON.stringify(record.fields[field]);
+        
+        // Newest edit wins; on equal times every device picks the same value
+        if (remoteTime > localTime || (remoteTime === localTime && remoteValue > localValue)) {
+            fields[field] = record.fields[field];
+            fieldTimes[field] = remoteTime;
+        }
+    });
+    
+    return new Item({
+        ...local,
+        ...fields,
+        fieldTimes: fieldTimes,
+        updatedAt: new Date(Math.max(local.updatedAt.getTime(), latestFieldTime(fieldTimes))),
+        sightings: mergeSightings(local.sightings || [], record.sightings || [])
+    });
+}
+
+// REST transport: GET/POST {endpoint}/changes
+class RestSyncTransport {
+    constructor(endpoint, token, fetchFn) {
+        this.url = `${endpoint.replace(/\/+$/, '')}/changes`;
+        this.token = token;
+        this.fetch = fetchFn;
+    }
+
+    async request(url, options = {}) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT) : null;
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+        
+        try {
+            const response = await this.fetch(url, {
+                ...options,
+                headers: headers,
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`Sync server responded ${response.status}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    push(records) {
+        return this.request(this.url, { method: 'POST', body: JSON.stringify({ records }) });
+    }
+
+    // Resolves to { records, cursor }
+    pull(since) {
+        return this.request(`${this.url}?since=${encodeURIComponent(since)}`);
+    }
+
+    close() {}
+}
+
+// WebSocket transport: the same requests over one socket, plus records
+// pushed by other devices as they arrive
+class WebSocketSyncTransport {
+    constructor(endpoint, token, WebSocketClass, onRecords) {
+        const url = new URL(`${endpoint.replace(/\/+$/, '')}/changes`);
+        if (token) url.searchParams.set('token', token);
+        this.url = url.toString();
+        this.WebSocket = WebSocketClass;
+        this.onRecords = onRecords;
+        this.socket = null;
+        this.opening = null;
+        this.requests = new Map();
+        this.nextId = 1;
+    }
+
+    // Connect on first use and again after the socket drops
+    open() {
+        if (this.opening) return this.opening;
+        
+        this.opening = new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(this.url);
+            socket.onopen = () => {
+                this.socket = socket;
+                resolve(socket);
+            };
+            socket.onmessage = (event) => this.handleMessage(event.data);
+            socket.onclose = () => {
+                this.socket = null;
+                this.opening = null;
+                this.requests.forEach(request => request.reject(new Error('Sync connection closed')));
+                this.requests.clear();
+                reject(new Error('Cannot connect to sync server'));
+            };
+        });
+        
+        return this.opening;
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed sync message:', error);
+            return;
+        }
+        
+        const request = this.requests.get(message.id);
+        if (request) {
+            this.requests.delete(message.id);
+            clearTimeout(request.timeout);
+            if (message.type === 'error') {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message);
+            }
+        } else if (message.type === 'changes') {
+            this.onRecords(message.records || []);
+        }
+    }
+
+    async request(message) {
+        const socket = await this.open();
+        const id = this.nextId++;
+        
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.requests.delete(id);
+                reject(new Error('Sync server did not respond'));
+            }, SYNC_REQUEST_TIMEOUT);
+            this.requests.set(id, { resolve, reject, timeout });
+            socket.send(JSON.stringify({...message, id}));
+        });
+    }
+
+    push(records) {
+        return this.request({ type: 'push', records });
+    }
+
+    pull(since) {
+        return this.request({ type: 'pull', since });
+    }
+
+    close() {
+        this.requests.forEach(request => clearTimeout(request.timeout));
+        this.requests.clear();
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+        }
+        this.socket = null;
+        this.opening = null;
+    }
+}
+
+// ws:// and wss:// endpoints use WebSockets, anything else REST
+function createSyncTransport(endpoint, token, env, onRecords) {
+    if (/^wss?:/i.test(endpoint)) {
+        return new WebSocketSyncTransport(endpoint, token, env.WebSocket, onRecords);
+    }
+    return new RestSyncTransport(endpoint, token, env.fetch);
+}
+
+// Keeps items in step with other devices: detects which fields changed
+// locally, queues them while offline, pushes and pulls records and merges
+// what other devices wrote.
+class SyncClient {
+    // options: { storage, getItem(id), onChanges({ updated, deleted }), onStatusChange(),
+    //            scheduler, fetch, WebSocket }
+    constructor(options) {
+        this.storage = options.storage;
+        this.getItem = options.getItem;
+        this.onChanges = options.onChanges;
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.scheduler = options.scheduler || intervalScheduler;
+        this.env = { fetch: options.fetch, WebSocket: options.WebSocket };
+        
+        this.settings = { endpoint: '', token: '' };
+        this.deviceId = null;
+        this.cursor = 0;                    // Position in the server's change log
+        this.pending = new Map();           // itemId -> change number, pushed when online
+        this.tombstones = {};               // itemId -> deletion time
+        this.fingerprints = {};             // itemId -> { field: JSON } as last saved or merged
+        this.changeCount = 0;
+        
+        this.transport = null;
+        this.cancelTimer = null;
+        this.pushTimer = null;
+        this.running = null;
+        this.status = { state: 'off', lastSyncAt: null, error: null };
+    }
+
+    get enabled() {
+        return !!this.settings.endpoint;
+    }
+
+    get pendingCount() {
+        return this.pending.size;
+    }
+
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getItem(SYNC_SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.error('Error loading sync settings:', error);
+        }
+        
+        this.settings = { endpoint: '', token: '', ...saved.settings };
+        this.deviceId = saved.deviceId || generateUUID();
+        this.cursor = saved.cursor || 0;
+        this.pending = new Map((saved.pending || []).map(itemId => [itemId, ++this.changeCount]));
+        this.tombstones = saved.tombstones || {};
+        this.fingerprints = saved.fingerprints || {};
+    }
+
+    save() {
+        this.storage.setItem(SYNC_SETTINGS_KEY, JSON.stringify({
+            settings: this.settings,
+            deviceId: this.deviceId,
+            cursor: this.cursor,
+            pending: Array.from(this.pending.keys()),
+            tombstones: this.tombstones,
+            fingerprints: this.fingerprints
+        }));
+    }
+
+    // JSON of each synced field, plus the end of the sighting history
+    fingerprint(item) {
+        const data = serializeItem(item);
+        const fingerprint = {};
+        SYNC_FIELDS.forEach(field => {
+            fingerprint[field] = JSON.stringify(data[field] === undefined ? null : data[field]);
+        });
+        const sightings = item.sightings || [];
+        const last = sightings[sightings.length - 1];
+        fingerprint.sightings = `${sightings.length}:${last ? new Date(last.timestamp).getTime() : 0}`;
+        return fingerprint;
+    }
+
+    // Stamp fields edited since the last save and queue their items.
+    // Returns the number of items queued.
+    trackItems(items, now = Date.now()) {
+        let queued = 0;
+        
+        items.forEach(item => {
+            const fingerprint = this.fingerprint(item);
+            const previous = this.fingerprints[item.id];
+            this.fingerprints[item.id] = fingerprint;
+            item.fieldTimes = item.fieldTimes || {};
+            
+            if (!previous) {
+                // New to sync: a re-created item must outrank its own deletion
+                const recreated = item.id in this.tombstones;
+                const created = item.updatedAt ? new Date(item.updatedAt).getTime() : now;
+                SYNC_FIELDS.forEach(field => {
+                    if (recreated || !item.fieldTimes[field]) {
+                        item.fieldTimes[field] = recreated ? now : created;
+                    }
+                });
+                delete this.tombstones[item.id];
+            } else {
+                const changed = SYNC_FIELDS.filter(field => fingerprint[field] !== previous[field]);
+                changed.forEach(field => {
+                    item.fieldTimes[field] = now;
+                });
+                if (!changed.length && fingerprint.sightings === previous.sightings) return;
+            }
+            
+            this.queue(item.id);
+            queued++;
+        });
+        
+        if (queued) {
+            this.save();
+            this.schedulePush();
+        }
+        return queued;
+    }
+
+    trackDeletion(itemId, now = Date.now()) {
+        delete this.fingerprints[itemId];
+        this.tombstones[itemId] = now;
+        this.queue(itemId);
+        this.save();
+        this.schedulePush();
+    }
+
+    queue(itemId) {
+        this.pending.set(itemId, ++this.changeCount);
+    }
+
+    // Current record for a queued item: the item itself or its deletion
+    recordFor(itemId) {
+        const item = this.getItem(itemId);
+        if (item) return itemToSyncRecord(item, this.deviceId);
+        if (itemId in this.tombstones) {
+            return { id: itemId, deviceId: this.deviceId, deleted: true, deletedAt: this.tombstones[itemId] };
+        }
+        return null;
+    }
+
+    // Use a new endpoint (empty turns sync off)
+    configure(settings) {
+        this.disconnect();
+        this.settings = { endpoint: settings.endpoint.trim(), token: settings.token.trim() };
+        // Another server has its own change log
+        this.cursor = 0;
+        this.save();
+        return this.connect();
+    }
+
+    connect() {
+        if (!this.enabled) {
+            this.setStatus('off');
+            return Promise.resolve();
+        }
+        
+        this.transport = createSyncTransport(this.settings.endpoint, this.settings.token, this.env,
+            (records) => this.receive(records));
+        this.cancelTimer = this.scheduler.every(SYNC_INTERVAL, () => this.sync());
+        return this.sync();
+    }
+
+    disconnect() {
+        if (this.cancelTimer) this.cancelTimer();
+        this.cancelTimer = null;
+        clearTimeout(this.pushTimer);
+        this.pushTimer = null;
+        if (this.transport) this.transport.close();
+        this.transport = null;
+        this.setStatus('off');
+    }
+
+    // Push soon after local edits, batching bursts of saves
+    schedulePush() {
+        if (!this.transport) return;
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync(), SYNC_PUSH_DELAY);
+    }
+
+    // Push queued changes, then pull everything newer than the cursor
+    sync() {
+        if (!this.transport) return Promise.resolve();
+        if (this.running) return this.running;
+        
+        this.running = this.run().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    async run() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.setStatus('offline');
+            return;
+        }
+        
+        this.setStatus('syncing');
+        try {
+            await this.push();
+            const { records, cursor } = await this.transport.pull(this.cursor);
+            await this.receive(records || []);
+            this.cursor = cursor;
+            this.save();
+            this.status.lastSyncAt = new Date();
+            this.setStatus('synced');
+        } catch (error) {
+            console.warn('Sync failed:', error);
+            this.setStatus('error', error.message);
+        }
+    }
+
+    async push() {
+        const entries = Array.from(this.pending.entries());
+        const records = entries.map(([itemId]) => this.recordFor(itemId)).filter(Boolean);
+        if (records.length) {
+            await this.transport.push(records);
+        }
+        
+        // Items edited again while the push was in flight stay queued
+        entries.forEach(([itemId, change]) => {
+            if (this.pending.get(itemId) === change) this.pending.delete(itemId);
+        });
+        this.save();
+    }
+
+    // Merge records from other devices and hand the results to the app
+    async receive(records) {
+        const merged = new Map();       // itemId -> Item, or null when deleted
+        
+        records.filter(record => record.deviceId !== this.deviceId).forEach(record => {
+            const local = merged.has(record.id) ? merged.get(record.id) : this.getItem(record.id) || null;
+            
+            // Records older than a local deletion stay deleted
+            const deletedAt = this.tombstones[record.id];
+            if (!local && !record.deleted && deletedAt && latestFieldTime(record.fieldTimes) <= deletedAt) {
+                return;
+            }
+            
+            const result = mergeSyncRecord(local, record);
+            if (result && Item.validate(result).length) {
+                console.warn(`Ignoring invalid synced item ${record.id}:`, Item.validate(result));
+                return;
+            }
+            if (record.deleted) {
+                this.tombstones[record.id] = Math.max(this.tombstones[record.id] || 0, record.deletedAt);
+                // Edited here after the deletion: make sure the other devices hear about it
+                if (result) this.queue(record.id);
+            }
+            merged.set(record.id, result);
+        });
+        
+        const updated = [];
+        const deleted = [];
+        merged.forEach((item, itemId) => {
+            const local = this.getItem(itemId);
+            if (!item) {
+                delete this.fingerprints[itemId];
+                this.pending.delete(itemId);
+                if (local) deleted.push(itemId);
+            } else if (!local || JSON.stringify(serializeItem(item)) !== JSON.stringify(serializeItem(local))) {
+                // Merged values are not local edits
+                this.fingerprints[itemId] = this.fingerprint(item);
+                delete this.tombstones[itemId];
+                updated.push(item);
+            }
+        });
+        
+        this.save();
+        if (updated.length || deleted.length) {
+            await this.onChanges({ updated, deleted });
+        }
+    }
+
+    setStatus(state, error = null) {
+        this.status.state = state;
+        this.status.error = error;
+        this.onStatusChange();
+    }
+}
+
+// Markup produced by html`` templates, inserted unescaped into other templates
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// Tagged template for innerHTML: every interpolated value is escaped unless it
+// is itself an html`` template; arrays are joined and null/undefined/false
+// render nothing. Use it for anything that contains item or user data.
+function html(strings, ...values) {
+    const render = (value) => {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(render).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeXML(value);
+    };
+    return new SafeHTML(strings.reduce((markup, string, index) => markup + render(values[index - 1]) + string));
+}
+
+// The CSP blocks inline style attributes, so templates mark colors with data-color
+function applyTemplateColors(root) {
+    root.querySelectorAll('[data-color]').forEach(element => {
+        element.style.color = element.dataset.color;
+    });
+}
+
+// Radar range: the distance at the radar's edge, in meters. Zoom steps through
+// the presets; auto zoom picks the smallest one that fits every shown item.
+const RADAR_RANGES = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const RADAR_AUTO_MARGIN = 1.2;      // Keep auto-zoomed items off the very edge
+const RADAR_LOG_FLOOR = 0.25;       // Log scale: distances up to this sit at the center
+const DEFAULT_RADAR_SETTINGS = {
+    scale: 'linear',        // 'linear' or 'log'
+    autoZoom: true,
+    range: 100,
+    show: 'selected',       // 'selected', 'all' or 'custom'
+    itemIds: []             // Items shown with show: 'custom'
+};
+
+// Fraction of the radar radius (0-1) at which a distance is drawn
+function radarFraction(distance, range, scale) {
+    const fraction = scale === 'log' ?
+        Math.log(Math.max(distance, RADAR_LOG_FLOOR) / RADAR_LOG_FLOOR) / Math.log(range / RADAR_LOG_FLOOR) :
+        distance / range;
+    return Math.min(Math.max(fraction, 0), 1);
+}
+
+// Distances to draw labeled range rings at: quarters of the range, or powers of ten on a log scale
+function radarRingDistances(range, scale) {
+    if (scale !== 'log') {
+        return [range / 4, range / 2, range];
+    }
+    const rings = [];
+    for (let distance = 1; distance < range; distance *= 10) {
+        if (distance > RADAR_LOG_FLOOR) rings.push(distance);
+    }
+    rings.push(range);
+    return rings;
+}
+
+// Smallest preset range that fits a distance
+function autoRadarRange(distance) {
+    return RADAR_RANGES.find(range => range >= distance * RADAR_AUTO_MARGIN) || RADAR_RANGES[RADAR_RANGES.length - 1];
+}
+
+// Short distance label for the radar and directions: "50 cm", "20 m", "1.5 km"
+function formatDistance(meters) {
+    if (meters < 1) return `${Math.round(meters * 100)} cm`;
+    if (meters < 1000) return `${Number(meters.toPrecision(meters < 10 ? 2 : 3))} m`;
+    return `${Number((meters / 1000).toPrecision(2))} km`;
+}
+
+// Walking directions for items beyond radar range: a route over a locally loaded
+// OpenStreetMap extract, or a straight line when none is loaded or it has no path
+const NAV_WALKING_SPEED = 1.4;          // m/s, for the ETA
+const NAV_ARRIVAL_DISTANCE = 30;        // Closer than this the radar takes over (m)
+const NAV_OFF_ROUTE_DISTANCE = 40;      // Reroute when this far from the route (m)
+const NAV_MAX_SNAP_DISTANCE = 250;      // Farther from any path than this, walk straight (m)
+const NAV_TURN_ANGLE = 25;              // Smaller bends don't get an instruction (degrees)
+const WALKABLE_HIGHWAYS = new Set([
+    'footway', 'path', 'pedestrian', 'steps', 'living_street', 'residential', 'service', 'track',
+    'unclassified', 'road', 'tertiary', 'tertiary_link', 'secondary', 'secondary_link',
+    'primary', 'primary_link', 'cycleway', 'bridleway', 'corridor'
+]);
+const COMPASS_POINTS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+// Highways a pedestrian may use, going by the OSM highway/foot/access tags
+function isWalkableWay(tags) {
+    if (!tags.highway) return false;
+    if (['yes', 'designated', 'permissive'].includes(tags.foot)) return true;
+    return WALKABLE_HIGHWAYS.has(tags.highway) &&
+        !['no', 'private'].includes(tags.foot) &&
+        !['no', 'private'].includes(tags.access);
+}
+
+// Walkable ways from an OSM XML file or Overpass JSON:
+// { nodes: Map(id -> { lat, lng }), ways: [{ nodeIds, name }] }
+function parseOSMExtract(text) {
+    const nodes = new Map();
+    const ways = [];
+
+    if (text.trim().startsWith('{')) {
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.elements)) {
+            throw new Error('Not an OpenStreetMap extract');
+        }
+        data.elements.forEach(element => {
+            if (element.type === 'node') {
+                nodes.set(String(element.id), { lat: element.lat, lng: element.lon });
+            } else if (element.type === 'way' && Array.isArray(element.nodes)) {
+                ways.push({ nodeIds: element.nodes.map(String), tags: element.tags || {} });
+            }
+        });
+    } else {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror') || !doc.querySelector('osm')) {
+            throw new Error('Not an OpenStreetMap extract');
+        }
+        doc.querySelectorAll('node').forEach(node => {
+            nodes.set(node.getAttribute('id'), {
+                lat: Number(node.getAttribute('lat')),
+                lng: Number(node.getAttribute('lon'))
+            });
+        });
+        doc.querySelectorAll('way').forEach(way => {
+            const tags = {};
+            way.querySelectorAll('tag').forEach(tag => {
+                tags[tag.getAttribute('k')] = tag.getAttribute('v');
+            });
+            ways.push({ nodeIds: Array.from(way.querySelectorAll('nd'), nd => nd.getAttribute('ref')), tags: tags });
+        });
+    }
+
+    const walkable = ways
+        .filter(way => isWalkableWay(way.tags))
+        .map(way => ({ nodeIds: way.nodeIds, name: way.tags.name || '' }));
+    if (walkable.length === 0) {
+        throw new Error('No walkable paths in this map extract');
+    }
+    return { nodes: nodes, ways: walkable };
+}
+
+// Binary min-heap for the route search
+class PriorityQueue {
+    constructor() {
+        this.heap = [];
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(value, priority) {
+        const heap = this.heap;
+        heap.push({ value, priority });
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].priority <= heap[index].priority) break;
+            [heap[parent], heap[index]] = [heap[index], heap[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+                if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+                if (smallest === index) break;
+                [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+                index = smallest;
+            }
+        }
+        return top.value;
+    }
+}
+
+// Footpath network from a parsed OSM extract
+class WalkingGraph {
+    constructor(extract) {
+        this.nodes = new Map();     // node id -> { lat, lng }
+        this.edges = new Map();     // node id -> [{ to, length, name }]
+
+        extract.ways.forEach(way => {
+            for (let i = 1; i < way.nodeIds.length; i++) {
+                const from = way.nodeIds[i - 1];
+                const to = way.nodeIds[i];
+                // Ways cut by the extract's boundary reference missing nodes
+                if (!extract.nodes.has(from) || !extract.nodes.has(to)) continue;
+
+                this.addNode(from, extract.nodes.get(from));
+                this.addNode(to, extract.nodes.get(to));
+                const length = geoDistance(this.nodes.get(from), this.nodes.get(to));
+                this.edges.get(from).push({ to: to, length: length, name: way.name });
+                this.edges.get(to).push({ to: from, length: length, name: way.name });
+            }
+        });
+    }
+
+    addNode(id, location) {
+        if (!this.nodes.has(id)) {
+            this.nodes.set(id, location);
+            this.edges.set(id, []);
+        }
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    // Closest path node to a location: { id, distance }, or null for an empty graph
+    nearestNode(location) {
+        let nearest = null;
+        this.nodes.forEach((node, id) => {
+            const distance = geoDistance(location, node);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { id: id, distance: distance };
+            }
+        });
+        return nearest;
+    }
+
+    // Shortest path between two nodes (A*), as points named after the way leading
+    // to them; null when they are not connected
+    findPath(startId, goalId) {
+        const goal = this.nodes.get(goalId);
+        const cost = new Map([[startId, 0]]);
+        const previous = new Map();     // node id -> { from, name }
+        const closed = new Set();
+        const open = new PriorityQueue();
+        open.push(startId, geoDistance(this.nodes.get(startId), goal));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalId) break;
+            if (closed.has(current)) continue;
+            closed.add(current);
+
+            this.edges.get(current).forEach(edge => {
+                const next = cost.get(current) + edge.length;
+                if (next < (cost.has(edge.to) ? cost.get(edge.to) : Infinity)) {
+                    cost.set(edge.to, next);
+                    previous.set(edge.to, { from: current, name: edge.name });
+                    open.push(edge.to, next + geoDistance(this.nodes.get(edge.to), goal));
+                }
+            });
+        }
+        if (!cost.has(goalId)) return null;
+
+        const points = [];
+        for (let id = goalId; id !== startId; id = previous.get(id).from) {
+            points.unshift({ ...this.nodes.get(id), name: previous.get(id).name });
+        }
+        points.unshift({ ...this.nodes.get(startId), name: '' });
+        return points;
+    }
+}
+
+// Walking route from one location to another:
+// { points, cumulative (meters along the route at each point), distance, instructions, source, to }
+function planWalkingRoute(graph, from, to) {
+    let points = null;
+    if (graph) {
+        const start = graph.nearestNode(from);
+        const end = graph.nearestNode(to);
+        if (start && end && start.distance <= NAV_MAX_SNAP_DISTANCE && end.distance <= NAV_MAX_SNAP_DISTANCE) {
+            const path = graph.findPath(start.id, end.id);
+            if (path) {
+                points = [{ lat: from.lat, lng: from.lng, name: '' }, ...path, { lat: to.lat, lng: to.lng, name: '' }];
+            }
+        }
+    }
+    const source = points ? 'map' : 'straight';
+    points = points || [{ lat: from.lat, lng: from.lng, name: '' }, { lat: to.lat, lng: to.lng, name: '' }];
+
+    // Drop zero-length legs, e.g. when the user stands on a path node
+    points = points.filter((point, index) => index === 0 || geoDistance(points[index - 1], point) > 0.5);
+    if (points.length === 1) points.push({ lat: to.lat, lng: to.lng, name: '' });
+
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+        cumulative.push(cumulative[i - 1] + geoDistance(points[i - 1], points[i]));
+    }
+
+    return {
+        points: points,
+        cumulative: cumulative,
+        distance: cumulative[cumulative.length - 1],
+        instructions: buildRouteInstructions(points, cumulative),
+        source: source,
+        to: { lat: to.lat, lng: to.lng }
+    };
+}
+
+// Turn-by-turn steps: { distance (meters along the route), text }
+function buildRouteInstructions(points, cumulative) {
+    const steps = [];
+    const startName = points.length > 2 ? points[2].name : '';
+    const heading = compassPoint(geoBearing(points[0], points[1]));
+    steps.push({ distance: 0, text: `Head ${heading}${startName ? ` toward ${startName}` : ''}` });
+
+    for (let i = 1; i < points.length - 1; i++) {
+        const turn = (geoBearing(points[i], points[i + 1]) - geoBearing(points[i - 1], points[i]) + 540) % 360 - 180;
+        const name = points[i + 1].name;
+        const onto = name ? ` onto ${name}` : '';
+
+        let text = null;
+        if (Math.abs(turn) >= NAV_TURN_ANGLE) {
+            text = turnPhrase(turn) + onto;
+        } else if (name && points[i].name && name !== points[i].name) {
+            text = `Continue onto ${name}`;
+        }
+        if (text) steps.push({ distance: cumulative[i], text: text });
+    }
+
+    steps.push({ distance: cumulative[cumulative.length - 1], text: 'Arrive at the item' });
+    return steps;
+}
+
+// Nearest of the eight compass points to a bearing, e.g. "north-east"
+function compassPoint(bearing) {
+    return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+}
+
+// "Keep left", "Turn right", "Turn sharp left" or "Make a U-turn" for a bearing change
+function turnPhrase(turn) {
+    const side = turn < 0 ? 'left' : 'right';
+    const angle = Math.abs(turn);
+    if (angle > 150) return 'Make a U-turn';
+    if (angle > 110) return `Turn sharp ${side}`;
+    if (angle > 50) return `Turn ${side}`;
+    return `Keep ${side}`;
+}
+
+// Where a location is along a route: { along (meters), offRoute (meters), segment }
+function routeProgress(route, location) {
+    let best = null;
+    for (let i = 1; i < route.points.length; i++) {
+        const a = route.points[i - 1];
+        const b = route.points[i];
+
+        // Project onto the segment in a local flat frame (degrees, longitude scaled)
+        const scale = Math.cos(a.lat * Math.PI / 180);
+        const bx = (b.lng - a.lng) * scale;
+        const by = b.lat - a.lat;
+        const px = (location.lng - a.lng) * scale;
+        const py = location.lat - a.lat;
+        const lengthSq = bx * bx + by * by;
+        const t = lengthSq ? Math.min(Math.max((px * bx + py * by) / lengthSq, 0), 1) : 0;
+
+        const offRoute = geoDistance(location, { lat: a.lat + t * by, lng: a.lng + t * bx / scale });
+        if (!best || offRoute < best.offRoute) {
+            best = {
+                along: route.cumulative[i - 1] + t * (route.cumulative[i] - route.cumulative[i - 1]),
+                offRoute: offRoute,
+                segment: i - 1
+            };
+        }
+    }
+    return best;
+}
+
+// Walking time as "4 min" or "1 h 20 min"
+function formatDuration(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Audio and voice guidance in the live finder, for finding items without looking
+const SONAR_RANGE = 100;                // Items farther than this don't ping (m)
+const SONAR_MIN_FREQUENCY = 220;        // Pitch at the edge of sonar range (Hz)
+const SONAR_MAX_FREQUENCY = 1320;       // Pitch right next to the item (Hz)
+const SONAR_PING_DURATION = 0.12;       // s
+const SONAR_VOLUME = 0.3;
+const VOICE_INTERVALS = [0, 5, 10, 30, 60];     // Announcement choices (s, 0: off)
+const DEFAULT_VOICE_SETTINGS = { speech: false, interval: 10 };
+
+// Sonar pings through Web Audio: pitch rises as the item gets closer, the stereo
+// pan follows the side it is on and items behind sound muffled
+class SonarTone {
+    constructor(AudioContextClass) {
+        this.AudioContextClass = AudioContextClass || null;
+        this.context = null;
+        this.nextPingTime = 0;      // Audio clock time before which ping() does nothing
+    }
+
+    get available() {
+        return this.AudioContextClass !== null;
+    }
+
+    // Browsers only start audio from a user gesture, so call this from one
+    resume() {
+        if (!this.AudioContextClass) return;
+        if (!this.context) {
+            this.context = new this.AudioContextClass();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    // Pings for one tracking tick, more of them when close. relativeBearing is the
+    // item's bearing from where the device faces (degrees), or null when unknown.
+    // Tracking also updates on motion and replayed samples, so calls within the
+    // same tick are ignored rather than queueing more pings.
+    ping(distance, relativeBearing) {
+        const context = this.context;
+        if (!context || context.currentTime < this.nextPingTime) return;
+
+        // A little short of a full tick, so timer jitter doesn't skip the next one
+        const tick = MONITOR_TRACKING_INTERVAL / 1000;
+        this.nextPingTime = context.currentTime + tick * 0.9;
+
+        const closeness = 1 - Math.min(Math.log1p(distance) / Math.log1p(SONAR_RANGE), 1);
+        const frequency = SONAR_MIN_FREQUENCY * Math.pow(SONAR_MAX_FREQUENCY / SONAR_MIN_FREQUENCY, closeness);
+        const angle = (relativeBearing || 0) * Math.PI / 180;
+        const behind = relativeBearing !== null && Math.cos(angle) < 0;
+        const count = distance < 2 ? 4 : distance < 10 ? 2 : 1;
+
+        for (let i = 0; i < count; i++) {
+            const start = context.currentTime + i * tick / count;
+
+            const oscillator = context.createOscillator();
+            oscillator.type = 'triangle';
+            oscillator.frequency.value = frequency;
+
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = behind ? frequency * 1.5 : 20000;
+
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(SONAR_VOLUME, start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + SONAR_PING_DURATION);
+
+            oscillator.connect(filter);
+            filter.connect(gain);
+            if (context.createStereoPanner) {
+                const panner = context.createStereoPanner();
+                panner.pan.value = relativeBearing === null ? 0 : Math.sin(angle);
+                gain.connect(panner);
+                panner.connect(context.destination);
+            } else {
+                gain.connect(context.destination);
+            }
+
+            oscillator.start(start);
+            oscillator.stop(start + SONAR_PING_DURATION);
+        }
+    }
+}
+
+// Distance for speech, rounded like the finder stats: "50 centimeters", "3.3 meters", "1.5 kilometers"
+function formatSpokenDistance(meters) {
+    let value = Math.round(meters * 100);
+    let unit = 'centimeter';
+    if (meters >= 1000) {
+        value = Number((meters / 1000).toFixed(1));
+        unit = 'kilometer';
+    } else if (meters >= 1) {
+        value = meters < 10 ? Number(meters.toFixed(1)) : Math.round(meters);
+        unit = 'meter';
+    }
+    return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+// Where an item is as a clock position ("at 3 o'clock", "straight ahead") relative
+// to where the device faces, or as a compass direction without a heading
+function describeItemDirection(bearing, relativeBearing) {
+    if (relativeBearing === null) {
+        return `to the ${compassPoint(bearing)}`;
+    }
+    const hour = Math.round(relativeBearing / 30) % 12;
+    return hour === 0 ? 'straight ahead' : `at ${hour} o'clock`;
+}
+
+// Map tile size in pixels (Web Mercator "slippy map" tiles)
+const MAP_TILE_SIZE = 256;
+const MAP_MIN_ZOOM = 2;
+const MAP_MAX_ZOOM = 19;
+const MAP_CLUSTER_RADIUS = 40;  // Markers closer than this (px) are clustered
+
+// Tiles from a local directory or server, e.g. "tiles/{z}/{x}/{y}.png"
+class UrlTileSource {
+    constructor(template) {
+        this.template = template;
+    }
+
+    getTileUrl(z, x, y) {
+        return this.template
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+}
+
+// No tiles at all: the map shows only its lat/lng grid
+class VectorGridSource {
+    getTileUrl() {
+        return null;
+    }
+}
+
+// Build a tile source from the saved tile URL template
+function createTileSource(template) {
+    return template && template.trim() ? new UrlTileSource(template.trim()) : new VectorGridSource();
+}
+
+// Offline map of items: Web Mercator tiles (if any), a lat/lng grid and clustered markers
+class MapView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.tileSource = options.tileSource || new VectorGridSource();
+        this.onItemSelect = options.onItemSelect || null;
+        this.center = { lat: 0, lng: 0 };
+        this.zoom = 15;
+        this.items = [];
+        this.currentLocation = null;
+        this.dragStart = null;
+        
+        this.setupInteraction();
+    }
+
+    // Project lat/lng to world pixel coordinates at a zoom level
+    project(point, zoom = this.zoom) {
+        const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+        const sinLat = Math.min(Math.max(Math.sin(point.lat * Math.PI / 180), -0.9999), 0.9999);
+        return {
+            x: (point.lng + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    unproject(pixel, zoom = this.zoom) {
+        const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+        const n = Math.PI - 2 * Math.PI * pixel.y / scale;
+        return {
+            lat: 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
+            lng: pixel.x / scale * 360 - 180
+        };
+    }
+
+    // Container pixel position of a lat/lng
+    toScreen(point) {
+        const world = this.project(point);
+        const center = this.project(this.center);
+        return {
+            x: world.x - center.x + this.container.clientWidth / 2,
+            y: world.y - center.y + this.container.clientHeight / 2
+        };
+    }
+
+    setTileSource(tileSource) {
+        this.tileSource = tileSource;
+        this.render();
+    }
+
+    setData(items, currentLocation) {
+        this.items = items;
+        this.currentLocation = currentLocation;
+        this.render();
+    }
+
+    setView(center, zoom = this.zoom) {
+        this.center = { lat: center.lat, lng: center.lng };
+        this.zoom = Math.min(Math.max(Math.round(zoom), MAP_MIN_ZOOM), MAP_MAX_ZOOM);
+        this.render();
+    }
+
+    zoomBy(delta) {
+        this.setView(this.center, this.zoom + delta);
+    }
+
+    // Fit all items and the current position in view
+    fitAll() {
+        const points = this.items.map(item => item.location);
+        if (this.currentLocation) points.push(this.currentLocation);
+        if (points.length === 0) return;
+        
+        const lats = points.map(point => point.lat);
+        const lngs = points.map(point => point.lng);
+        const bounds = {
+            north: Math.max(...lats), south: Math.min(...lats),
+            east: Math.max(...lngs), west: Math.min(...lngs)
+        };
+        const center = { lat: (bounds.north + bounds.south) / 2, lng: (bounds.east + bounds.west) / 2 };
+        
+        // Largest zoom where the bounds fit with some padding
+        const width = Math.max(this.container.clientWidth - 80, 100);
+        const height = Math.max(this.container.clientHeight - 80, 100);
+        let zoom = MAP_MAX_ZOOM;
+        while (zoom > MAP_MIN_ZOOM) {
+            const northWest = this.project({ lat: bounds.north, lng: bounds.west }, zoom);
+            const southEast = this.project({ lat: bounds.south, lng: bounds.east }, zoom);
+            if (southEast.x - northWest.x <= width && southEast.y - northWest.y <= height) break;
+            zoom--;
+        }
+        
+        this.setView(center, Math.min(zoom, 18));
+    }
+
+    // Drag to pan, wheel to zoom
+    setupInteraction() {
+        this.container.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.map-marker')) return;
+            this.dragStart = { x: e.clientX, y: e.clientY, center: this.project(this.center) };
+            this.container.classList.add('dragging');
+        });
+        
+        this.container.addEventListener('pointermove', (e) => {
+            if (!this.dragStart) return;
+            this.center = this.unproject({
+                x: this.dragStart.center.x - (e.clientX - this.dragStart.x),
+                y: this.dragStart.center.y - (e.clientY - this.dragStart.y)
+            });
+            this.render();
+        });
+        
+        const endDrag = () => {
+            this.dragStart = null;
+            this.container.classList.remove('dragging');
+        };
+        this.container.addEventListener('pointerup', endDrag);
+        this.container.addEventListener('pointerleave', endDrag);
+        
+        this.container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+    }
+
+    render() {
+        const fragment = document.createDocumentFragment();
+        this.renderTiles(fragment);
+        this.renderGrid(fragment);
+        this.renderMarkers(fragment);
+        
+        this.container.innerHTML = '';
+        this.container.appendChild(fragment);
+    }
+
+    renderTiles(fragment) {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const center = this.project(this.center);
+        const left = center.x - width / 2;
+        const top = center.y - height / 2;
+        const tileCount = Math.pow(2, this.zoom);
+        
+        for (let tx = Math.floor(left / MAP_TILE_SIZE); tx * MAP_TILE_SIZE < left + width; tx++) {
+            for (let ty = Math.floor(top / MAP_TILE_SIZE); ty * MAP_TILE_SIZE < top + height; ty++) {
+                if (ty < 0 || ty >= tileCount) continue;
+                
+                const url = this.tileSource.getTileUrl(this.zoom, ((tx % tileCount) + tileCount) % tileCount, ty);
+                if (!url) continue;
+                
+                const tile = document.createElement('img');
+                tile.className = 'map-tile';
+                tile.alt = '';
+                tile.src = url;
+                tile.style.left = `${tx * MAP_TILE_SIZE - left}px`;
+                tile.style.top = `${ty * MAP_TILE_SIZE - top}px`;
+                // Missing tiles fall back to the grid underneath
+                tile.onerror = () => tile.remove();
+                fragment.appendChild(tile);
+            }
+        }
+    }
+
+    // Lat/lng grid with roughly 100 px spacing
+    renderGrid(fragment) {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const degreesPerPixel = 360 / (MAP_TILE_SIZE * Math.pow(2, this.zoom));
+        const rawStep = degreesPerPixel * 100;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 5, 10].map(f => f * magnitude).find(value => value >= rawStep);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        
+        const topLeft = this.unproject(this.screenToWorld(0, 0));
+        const bottomRight = this.unproject(this.screenToWorld(width, height));
+        
+        for (let lng = Math.ceil(topLeft.lng / step) * step; lng <= bottomRight.lng; lng += step) {
+            const x = this.toScreen({ lat: this.center.lat, lng: lng }).x;
+            fragment.appendChild(this.createGridLine('vertical', x, lng.toFixed(decimals)));
+        }
+        for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+            const y = this.toScreen({ lat: lat, lng: this.center.lng }).y;
+            fragment.appendChild(this.createGridLine('horizontal', y, lat.toFixed(decimals)));
+        }
+    }
+
+    screenToWorld(x, y) {
+        const center = this.project(this.center);
+        return {
+            x: center.x + x - this.container.clientWidth / 2,
+            y: center.y + y - this.container.clientHeight / 2
+        };
+    }
+
+    createGridLine(orientation, offset, label) {
+        const line = document.createElement('div');
+        line.className = `map-grid-line ${orientation}`;
+        line.style[orientation === 'vertical' ? 'left' : 'top'] = `${offset}px`;
+        line.dataset.label = label;
+        return line;
+    }
+
+    // Group items whose markers would overlap
+    clusterItems() {
+        const clusters = [];
+        
+        this.items.forEach(item => {
+            const position = this.toScreen(item.location);
+            const cluster = clusters.find(candidate =>
+                Math.hypot(candidate.x - position.x, candidate.y - position.y) < MAP_CLUSTER_RADIUS);
+            
+            if (cluster) {
+                cluster.items.push(item);
+                cluster.x = (cluster.x * (cluster.items.length - 1) + position.x) / cluster.items.length;
+                cluster.y = (cluster.y * (cluster.items.length - 1) + position.y) / cluster.items.length;
+            } else {
+                clusters.push({ x: position.x, y: position.y, items: [item] });
+            }
+        });
+        
+        return clusters;
+    }
+
+    renderMarkers(fragment) {
+        this.clusterItems().forEach(cluster => {
+            const marker = document.createElement('button');
+            marker.style.left = `${cluster.x}px`;
+            marker.style.top = `${cluster.y}px`;
+            
+            if (cluster.items.length === 1) {
+                const item = cluster.items[0];
+                marker.className = 'map-marker item';
+                marker.title = item.name;
+                marker.innerHTML = html`<i class="fas fa-${item.icon || 'cube'}"></i>`;
+                if (item.color) {
+                    marker.style.background = item.color;
+                    marker.style.boxShadow = `0 0 12px ${item.color}`;
+                }
+                marker.addEventListener('click', () => {
+                    if (this.onItemSelect) this.onItemSelect(item.id);
+                });
+            } else {
+                marker.className = 'map-marker cluster';
+                marker.title = cluster.items.map(item => item.name).join(', ');
+                marker.textContent = cluster.items.length;
+                // Zoom in on the cluster to split it
+                marker.addEventListener('click', () => {
+                    this.setView(this.unproject(this.screenToWorld(cluster.x, cluster.y)), this.zoom + 2);
+                });
+            }
+            fragment.appendChild(marker);
+        });
+        
+        if (this.currentLocation) {
+            const position = this.toScreen(this.currentLocation);
+            const marker = document.createElement('div');
+            marker.className = 'map-marker current';
+            marker.title = 'You are here';
+            marker.style.left = `${position.x}px`;
+            marker.style.top = `${position.y}px`;
+            fragment.appendChild(marker);
+        }
+    }
+}
+
+class TraceItApp {
+    constructor(options = {}) {
+        // State management
+        this.items = new Map();
+        this.currentLocation = null;
+        this.currentItem = null;
+        this.liveTracking = false;
+        this.cameraActive = false;
+        this.detectionTimer = null;
+        this.visualMatcher = null;      // Created on first camera scan
+        this.visualMatchesReady = null;
+        this.visualReferences = 0;
+        this.analyzingFrame = false;
+        this.soundEnabled = true;
+        this.vibrationEnabled = false;
+        this.cancelTracking = null;
+        
+        // Background monitor: owns the sampling timers and evaluates leashes
+        // off the main thread, slowing down in hidden tabs and on low battery
+        this.monitor = options.monitor || new MonitorEngine({
+            onProximity: (state) => this.handleProximityState(state),
+            onStatusChange: () => this.updateMonitorStatus(),
+            document: document,
+            navigator: navigator
+        });
+        
+        // Sensor providers (real, simulated or replay), selected in initHardware.
+        // options.sensors may override any of location/heading/motion/proximity.
+        this.sensorMode = options.sensorMode || getSensorModeFromURL() || 'auto';
+        this.customSensors = options.sensors || {};
+        this.sensorEnvironment = {
+            geolocation: 'geolocation' in options ? options.geolocation : navigator.geolocation,
+            target: 'sensorTarget' in options ? options.sensorTarget : window,
+            trace: options.trace || null,
+            replaySpeed: options.replaySpeed || 1,
+            scheduler: this.monitor
+        };
+        this.sensors = null;
+        this.sensorSubscriptions = [];
+        this.tagReadings = new Map();
+        this.proximityEstimators = new Map();
+        this.calibrationRun = null;
+        
+        // Walking directions to far-away items
+        this.navigationMode = false;
+        this.walkingGraph = null;       // Footpaths from a loaded OpenStreetMap extract
+        this.walkingRoute = null;       // Current route, replanned when the user strays
+        
+        // Heading and walk-and-measure direction finding
+        this.deviceHeading = null;      // Compass heading (clockwise from north), if known
+        this.walkingHeading = null;     // Heading in any stable frame, for step directions
+        this.lastBearing = null;        // GPS bearing from user to item
+        this.directionFinder = new DirectionFinder();
+        this.guidedMode = false;
+        this.guidedBearing = null;
+        
+        // Sonar pings and spoken/screen reader announcements while tracking
+        this.sonar = new SonarTone(window.AudioContext || window.webkitAudioContext);
+        this.voiceSettings = {...DEFAULT_VOICE_SETTINGS};
+        this.lastAnnouncement = 0;
+        
+        // Activity log: persisted entries (oldest first) and the dashboard's latest
+        this.activity = [];
+        this.recentActivity = [];
+        this.activityView = { type: '', itemId: '', from: '', to: '', page: 0 };
+        
+        // Item categories (built-in and user defined)
+        this.categories = new CategoryRegistry(localStorage);
+        
+        // Left-behind alerts
+        this.safeZones = [];
+        this.leashStates = new Map();
+        this.alertItemId = null;
+        
+        // Trail playback on the radar
+        this.trailTimer = null;
+        this.trailDots = [];
+        
+        // Radar zoom and the items it shows
+        this.radarSettings = {...DEFAULT_RADAR_SETTINGS};
+        this.radarRange = DEFAULT_RADAR_SETTINGS.range;
+        this.radarTarget = null;        // { distance, direction } of the tracked item
+        this.radarMarkers = new Map();  // item id -> marker of another shown item
+        
+        // Item map
+        this.mapView = null;
+        this.mapSettings = { tileUrl: '' };
+        
+        // Tracked items search/filter/sort, restored from the URL
+        this.itemView = this.readItemViewFromURL();
+        
+        // Item open in the save form for editing (null when saving a new item)
+        this.editingItemId = null;
+        
+        // Photos for the item being saved, and the item open in the photo manager
+        this.formPhotos = [];
+        this.photoManagerItemId = null;
+        
+        // New service worker version waiting for the user to accept it
+        this.waitingWorker = null;
+        
+        // Item import waiting for merge/replace choice
+        this.pendingImport = null;
+        
+        // Item open in the lend dialog, and the overdue loan check timer
+        this.lendingItemId = null;
+        this.cancelLoanChecks = null;
+        
+        // Sensor recording and replay
+        this.recordingEnabled = false;
+        this.recorder = null;
+        this.lastTrace = null;
+        this.replay = null;
+
+        // Bluetooth tag providers (real tags first, simulation as fallback)
+        const bluetooth = 'bluetooth' in options ? options.bluetooth : navigator.bluetooth;
+        this.bluetoothTags = new WebBluetoothTagProvider(bluetooth);
+        this.simulatedTags = new SimulatedTagProvider(this, this.monitor);
+        this.pendingTag = null;
+        
+        // Persistent storage (IndexedDB, or localStorage as a fallback)
+        this.store = options.store || createItemStore();
+        
+        // Multi-device sync, off until a server is configured
+        this.syncClient = new SyncClient({
+            storage: localStorage,
+            getItem: (itemId) => this.items.get(itemId),
+            onChanges: (changes) => this.applySyncChanges(changes),
+            onStatusChange: () => this.renderSyncStatus(),
+            scheduler: this.monitor,
+            fetch: options.fetch || (typeof fetch === 'function' ? fetch.bind(window) : null),
+            WebSocket: options.WebSocket || window.WebSocket
+        });
+        
+        // DOM Elements
+        this.elements = {};
+        
+        // Initialize app; resolves once stored items are loaded
+        this.ready = this.init();
+    }
+
+    // Initialize the application
+    async init() {
+        this.cacheDOM();
+        this.setupActions();
+        this.categories.load();
+        this.renderCategoryOptions();
+        this.loadSafeZones();
+        this.loadMapSettings();
+        this.loadRadarSettings();
+        this.loadVoiceSettings();
+        this.updateNavigationStatus();
+        await this.loadItems();
+        await this.loadActivity();
+        this.renderRecentActivity();
+        this.initSync();
+        this.initHardware();
+        this.setupEventListeners();
+        this.updateStats();
+        this.renderSafeZones();
+        this.renderCategories();
+        this.renderPeopleOptions();
+        this.startLoanReminders();
+        this.updateStorageStatus();
+        this.registerServiceWorker();
+        this.logActivity('App initialized', 'system');
+    }
+
+    // Cache DOM elements
+    cacheDOM() {
+        this.elements = {
+            // Dashboard
+            itemCount: document.getElementById('itemCount'),
+            locationStatus: document.getElementById('locationStatus'),
+            bluetoothStatus: document.getElementById('bluetoothStatus'),
+            lastUpdate: document.getElementById('lastUpdate'),
+            activityLog: document.getElementById('activityLog'),
+            storageStatus: document.getElementById('storageStatus'),
+            
+            // Hardware status
+            gpsStatus: document.getElementById('gpsStatus'),
+            compassStatus: document.getElementById('compassStatus'),
+            bluetoothSignal: document.getElementById('bluetoothSignal'),
+            monitorStatus: document.getElementById('monitorStatus'),
+            
+            // Save item form
+            currentLocation: document.getElementById('currentLocation'),
+            currentLat: document.getElementById('currentLat'),
+            currentLng: document.getElementById('currentLng'),
+            
+            // Live finder
+            radarContainer: document.getElementById('radarContainer'),
+            targetMarker: document.getElementById('targetMarker'),
+            distanceRing: document.getElementById('distanceRing'),
+            directionArrow: document.getElementById('directionArrow'),
+            distanceValue: document.getElementById('distanceValue'),
+            directionValue: document.getElementById('directionValue'),
+            rssiValue: document.getElementById('rssiValue'),
+            lastSeenValue: document.getElementById('lastSeenValue'),
+            proximityFeedback: document.getElementById('proximityFeedback'),
+            
+            // Camera
+            cameraFeed: document.getElementById('cameraFeed'),
+            cameraCanvas: document.getElementById('cameraCanvas'),
+            matchFill: document.getElementById('matchFill')
+        };
+    }
+
+    // Initialize hardware sensors
+    initHardware() {
+        console.log(`Initializing hardware sensors (${this.sensorMode} mode)...`);
+        
+        this.attachSensors({
+            ...createSensorProviders(this.sensorMode, {
+                ...this.sensorEnvironment,
+                bluetoothTags: this.bluetoothTags,
+                simulatedTags: this.simulatedTags
+            }),
+            ...this.customSensors
+        });
+        
+        // Watch tags of already saved items
+        this.items.forEach(item => this.watchBluetoothTag(item));
+    }
+
+    // Subscribe to and start a set of sensor providers
+    attachSensors(sensors) {
+        this.sensors = sensors;
+        this.sensorSubscriptions = [
+            sensors.location.subscribe(
+                (sample) => this.handleLocationUpdate(sample),
+                (error) => this.handleLocationError(error)
+            ),
+            sensors.heading.subscribe((sample) => this.handleOrientation(sample)),
+            sensors.motion.subscribe((sample) => this.handleMotion(sample)),
+            sensors.proximity.subscribe((sample) => this.handleProximity(sample))
+        ];
+        
+        Object.values(sensors).forEach(provider => provider.start());
+        this.updateSensorStatus();
+    }
+
+    // Unsubscribe from and stop the current sensor providers
+    detachSensors() {
+        this.sensorSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.sensorSubscriptions = [];
+        this.stopSensors();
+    }
+
+    // Stop all sensor providers
+    stopSensors() {
+        if (!this.sensors) return;
+        Object.values(this.sensors).forEach(provider => provider.stop());
+    }
+
+    // Reflect active sensor providers in the hardware status bar
+    updateSensorStatus() {
+        const labels = {
+            gps: 'Active',
+            compass: 'Active',
+            motion: 'Active',
+            bluetooth: 'Web Bluetooth',
+            simulated: 'Simulated',
+            replay: 'Replay'
+        };
+        const { location, heading, proximity } = this.sensors;
+        
+        this.elements.gpsStatus.textContent = labels[location.source] || 'Active';
+        this.elements.compassStatus.textContent = labels[heading.source] || 'Active';
+        this.elements.bluetoothSignal.textContent = labels[proximity.source] || 'Simulated';
+        this.elements.bluetoothStatus.textContent = {
+            bluetooth: 'Live',
+            replay: 'Replay'
+        }[proximity.source] || 'Sim';
+        
+        if (location.source !== 'gps') {
+            this.elements.locationStatus.textContent = labels[location.source] || 'Ready';
+        }
+        this.updateMonitorStatus();
+    }
+
+    // Handle location samples from the active location provider
+    handleLocationUpdate(sample) {
+        this.currentLocation = {
+            lat: sample.lat,
+            lng: sample.lng,
+            accuracy: sample.accuracy,
+            timestamp: sample.timestamp
+        };
+
+        // Update UI
+        if (this.elements.currentLocation) {
+            this.elements.currentLocation.textContent = 'Location acquired';
+        }
+        if (this.elements.currentLat && this.elements.currentLng) {
+            this.elements.currentLat.textContent = this.currentLocation.lat.toFixed(6);
+            this.elements.currentLng.textContent = this.currentLocation.lng.toFixed(6);
+        }
+
+        // Log activity
+        this.logActivity('Location updated', 'gps');
+        this.updateLastUpdateTime();
+        
+        this.evaluateLeashes();
+        
+        // Replayed traces drive the finder directly, at whatever speed they run
+        if (this.replay && this.liveTracking) {
+            this.updateTracking();
+        }
+        
+        // Keep the map's position marker current while it is open
+        if (this.mapView && this.isPageActive('map')) {
+            this.updateMapView();
+        }
+    }
+
+    // Fall back to simulated location when GPS fails in auto mode
+    handleLocationError(error) {
+        if (this.sensorMode !== 'auto' || this.sensors.location.source !== 'gps') {
+            console.warn('Location unavailable:', error.message);
+            return;
+        }
+        
+        console.warn('GPS unavailable, using simulation:', error.message);
+        this.sensors.location.stop();
+        this.sensors.location = new SimulatedLocationProvider(
+            this.currentLocation || SIMULATED_START, Math.random, this.monitor);
+        this.sensorSubscriptions.push(
+            this.sensors.location.subscribe((sample) => this.handleLocationUpdate(sample))
+        );
+        if (this.recorder) {
+            this.recorder.watch('location', this.sensors.location);
+        }
+        this.sensors.location.start();
+        this.updateSensorStatus();
+    }
+
+    // Handle device orientation (compass)
+    handleOrientation(sample) {
+        if (sample.compassHeading !== null && sample.compassHeading !== undefined) {
+            this.deviceHeading = sample.compassHeading;
+        } else if (sample.alpha !== null && sample.absolute) {
+            // alpha is counter-clockwise from north
+            this.deviceHeading = (360 - sample.alpha) % 360;
+        } else {
+            this.deviceHeading = null;
+        }
+        
+        // Relative alpha is still a stable frame for comparing walking directions
+        this.walkingHeading = this.deviceHeading !== null ? this.deviceHeading :
+            (sample.alpha !== null ? (360 - sample.alpha) % 360 : null);
+        
+        this.updateDirectionArrow();
+    }
+
+    // Handle device motion
+    handleMotion(sample) {
+        // This can be used for step detection or movement analysis
+        if (sample.acceleration) {
+            // Calculate movement intensity
+            const intensity = Math.sqrt(
+                Math.pow(sample.acceleration.x, 2) +
+                Math.pow(sample.acceleration.y, 2) +
+                Math.pow(sample.acceleration.z, 2)
+            );
+            
+            // If user is moving significantly, update location more frequently
+            if (intensity > 2 && this.liveTracking) {
+                this.updateTracking();
+            }
+        }
+        
+        if (this.guidedMode && this.liveTracking && this.directionFinder.detectStep(sample)) {
+            this.handleStep();
+        }
+    }
+
+    // Toggle turn-by-turn walking directions for items beyond radar range
+    toggleNavigation() {
+        this.navigationMode = !this.navigationMode;
+        this.walkingRoute = null;
+
+        const btn = document.getElementById('navigationToggle');
+        if (btn) {
+            btn.setAttribute('aria-pressed', String(this.navigationMode));
+            btn.style.color = this.navigationMode ? '#10b981' : '';
+        }
+
+        if (this.navigationMode) {
+            this.updateProximityFeedback(this.liveTracking ?
+                'Planning a walking route...' : 'Start tracking for walking directions');
+        }
+        if (this.liveTracking) {
+            this.updateTracking();
+        }
+    }
+
+    // Pick an OpenStreetMap extract (.osm XML or Overpass JSON) for walking routes
+    loadMapExtract() {
+        document.getElementById('osmUpload').click();
+    }
+
+    handleMapExtractUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.setWalkingGraph(new WalkingGraph(parseOSMExtract(e.target.result)));
+                this.logActivity(`Loaded map data: ${file.name}`, 'tracking');
+            } catch (error) {
+                alert('Cannot load map data: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow picking the same file again
+        event.target.value = '';
+    }
+
+    // Route over a footpath network from now on (null: straight lines)
+    setWalkingGraph(graph) {
+        this.walkingGraph = graph;
+        this.walkingRoute = null;
+        this.updateNavigationStatus();
+    }
+
+    updateNavigationStatus() {
+        const status = document.getElementById('navigationStatus');
+        if (!status) return;
+
+        status.textContent = this.walkingGraph ?
+            `Walking directions on map paths (${this.walkingGraph.size.toLocaleString()} points)` :
+            'Walking directions in a straight line (no map data loaded)';
+    }
+
+    // Next turn, distance to go and ETA on the route to the tracked item, plus the
+    // bearing to the next point on it. Replans when the user strays or the item moves.
+    getWalkingDirections() {
+        const item = this.currentItem;
+        const here = this.currentLocation;
+
+        let route = this.walkingRoute;
+        let progress = route && route.itemId === item.id &&
+            geoDistance(route.to, item.location) <= NAV_OFF_ROUTE_DISTANCE ?
+            routeProgress(route, here) : null;
+
+        if (!progress || progress.offRoute > NAV_OFF_ROUTE_DISTANCE) {
+            if (route && route.itemId === item.id) {
+                this.logActivity(`Rerouting to ${item.name}`, 'tracking', item);
+            }
+            route = { ...planWalkingRoute(this.walkingGraph, here, item.location), itemId: item.id };
+            progress = routeProgress(route, here);
+            this.walkingRoute = route;
+        }
+
+        const remaining = Math.max(route.distance - progress.along, 0);
+        const next = route.instructions.find(step => step.distance > progress.along + 1) ||
+            route.instructions[route.instructions.length - 1];
+        const toNext = Math.max(next.distance - progress.along, 0);
+
+        const seconds = remaining / NAV_WALKING_SPEED;
+        const arrival = new Date(Date.now() + seconds * 1000)
+            .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const bearing = geoBearing(here, route.points[progress.segment + 1]);
+        
+        // Without map data there are no turns, just a direction to walk in
+        const describeStep = (format) => route.source === 'straight' ?
+            `Head ${compassPoint(bearing)} (straight line)` :
+            `In ${format(toNext)}, ${next.text.charAt(0).toLowerCase() + next.text.slice(1)}`;
+        const instruction = describeStep(formatDistance);
+
+        return {
+            bearing: bearing,
+            spoken: `${describeStep(formatSpokenDistance)}, ${formatSpokenDistance(remaining)} to go`,
+            message: `${instruction} · ${formatDistance(remaining)} to go, ETA ${formatDuration(seconds)} (${arrival})`
+        };
+    }
+
+    // Toggle guided walk-and-measure direction finding
+    toggleGuidedMode() {
+        this.guidedMode = !this.guidedMode;
+        this.directionFinder.reset();
+        this.guidedBearing = null;
+        
+        const btn = document.getElementById('guidedToggle');
+        if (btn) {
+            btn.setAttribute('aria-pressed', String(this.guidedMode));
+            btn.style.color = this.guidedMode ? '#10b981' : '';
+        }
+        
+        if (this.guidedMode) {
+            this.updateProximityFeedback('Walk a few steps in different directions...');
+        }
+        this.updateDirectionArrow();
+    }
+
+    // Measure the signal after each detected step
+    handleStep() {
+        const signal = this.getDirectionSignal();
+        if (signal === null) return;
+        
+        this.directionFinder.addStep(signal, this.walkingHeading);
+        this.guidedBearing = this.directionFinder.estimateBearing();
+        this.updateGuidanceFeedback();
+        this.updateDirectionArrow();
+    }
+
+    // Signal that rises as the item gets closer: filtered RSSI for tags, else negative GPS distance
+    getDirectionSignal() {
+        const item = this.currentItem;
+        if (!item || !this.currentLocation) return null;
+        
+        const estimator = this.proximityEstimators.get(item.id);
+        if (item.attachMethod === 'bluetooth' && estimator && estimator.rssi !== null) {
+            return estimator.rssi;
+        }
+        return -this.calculateDistance(item.location, this.currentLocation);
+    }
+
+    // Show warmer/colder feedback from the signal trend
+    updateGuidanceFeedback() {
+        const feedback = {
+            warmer: ['Warmer - keep going this way', '#10b981'],
+            colder: ['Colder - turn around', '#ef4444'],
+            steady: ['No change - try another direction', '#f59e0b']
+        }[this.directionFinder.trend()] || ['Walk a few steps in different directions...', '#6366f1'];
+        
+        this.updateProximityFeedback(feedback[0]);
+        if (this.elements.proximityFeedback) {
+            this.elements.proximityFeedback.style.borderLeft = `4px solid ${feedback[1]}`;
+        }
+    }
+
+    // Point the arrow at the item relative to where the device is facing:
+    // bearing-to-item minus device heading. Without a heading the arrow is north-up.
+    updateDirectionArrow() {
+        if (!this.elements.directionArrow) return;
+        
+        let rotation = this.getRelativeBearing();
+        if (rotation === null && this.lastBearing !== null) {
+            rotation = this.lastBearing;
+        }
+        
+        if (rotation !== null) {
+            this.elements.directionArrow.style.transform = `rotate(${rotation}deg)`;
+        }
+    }
+
+    // Bearing to the item relative to where the device faces (0-360), null without a heading
+    getRelativeBearing() {
+        let rotation = null;
+        if (this.guidedMode && this.guidedBearing !== null && this.walkingHeading !== null) {
+            // Both in the walking-heading frame, so no compass is needed
+            rotation = this.guidedBearing - this.walkingHeading;
+        } else if (this.lastBearing !== null && this.deviceHeading !== null) {
+            rotation = this.lastBearing - this.deviceHeading;
+        }
+        return rotation === null ? null : (rotation % 360 + 360) % 360;
+    }
+
+    // Handle RSSI samples from tag providers, keeping the latest per source
+    handleProximity(sample) {
+        const readings = this.tagReadings.get(sample.itemId) || {};
+        readings[sample.source] = sample;
+        this.tagReadings.set(sample.itemId, readings);
+        
+        // Collect calibration samples from the source the finder is using
+        const run = this.calibrationRun;
+        if (run && run.item.id === sample.itemId) {
+            const preferred = this.getTagReading(run.item);
+            if (preferred && preferred.source === sample.source) {
+                run.samples.push(sample.rssi);
+            }
+        }
+        
+        // A real tag in range means the item is here
+        const item = this.items.get(sample.itemId);
+        if (item && sample.source === 'bluetooth' && this.currentLocation) {
+            const last = item.sightings && item.sightings[item.sightings.length - 1];
+            if (!last || last.source !== 'bluetooth' ||
+                Date.now() - new Date(last.timestamp).getTime() > BLUETOOTH_SIGHTING_INTERVAL) {
+                this.recordSighting(item, 'bluetooth');
+            }
+        }
+        
+        this.evaluateLeashes();
+    }
+
+    // Start receiving advertisements from an item's paired tag
+    watchBluetoothTag(item) {
+        const proximity = this.sensors && this.sensors.proximity;
+        if (!item.tag || !proximity || typeof proximity.addTag !== 'function') return;
+
+        proximity.addTag(item)
+            .then(watching => {
+                if (!watching) {
+                    console.warn(`Tag for ${item.name} not reachable, using simulation`);
+                }
+            })
+            .catch(error => {
+                console.warn(`Cannot watch tag for ${item.name}:`, error.message);
+            });
+    }
+
+    // Get the latest RSSI reading for an item, preferring a fresh non-simulated one
+    getTagReading(item) {
+        const readings = this.tagReadings.get(item.id);
+        if (!readings) return null;
+        
+        const now = new Date();
+        const live = Object.values(readings)
+            .filter(reading => reading.source !== 'simulated' &&
+                now - reading.timestamp < BLUETOOTH_READING_TTL)
+            .sort((a, b) => b.timestamp - a.timestamp)[0];
+        
+        return live || readings.simulated || null;
+    }
+
+    // Estimate distance to an item, fusing tag RSSI with GPS when the item has a tag
+    estimateItemDistance(item, gpsDistance, reading) {
+        if (item.attachMethod !== 'bluetooth' || !reading) {
+            return { distance: gpsDistance, rssiDistance: null, source: 'gps' };
+        }
+        
+        let estimator = this.proximityEstimators.get(item.id);
+        if (!estimator) {
+            estimator = new ProximityEstimator(item.calibration);
+            this.proximityEstimators.set(item.id, estimator);
+        }
+        estimator.addReading(reading);
+        
+        // Both the saved and the current fix contribute to GPS uncertainty
+        const accuracy = Math.hypot(
+            (item.location && item.location.accuracy) || 0,
+            (this.currentLocation && this.currentLocation.accuracy) || 0
+        );
+        return estimator.estimate(gpsDistance, accuracy);
+    }
+
+    // Calculate RSSI based on distance (simulated)
+    calculateRSSIFromDistance(distance, calibration) {
+        // Simple path loss model: RSSI = -10 * n * log10(d) + C
+        const { txPower, pathLossExponent } = {...DEFAULT_TAG_CALIBRATION, ...calibration};
+        const n = pathLossExponent; // Path loss exponent
+        const C = txPower; // RSSI at 1 meter
+        const rssi = -10 * n * Math.log10(Math.max(distance, 1)) + C;
+        return Math.min(Math.max(rssi, -100), -30) + (Math.random() * 10 - 5); // Add some noise
+    }
+
+    // Calculate distance between two coordinates using Haversine formula
+    calculateDistance(coord1, coord2) {
+        return geoDistance(coord1, coord2);
+    }
+
+    // Route data-action clicks and data-change/data-input edits to app methods,
+    // so the markup needs no inline handlers and the CSP can forbid them
+    setupActions() {
+        const byId = method => el => this[method](el.dataset.id);
+        const actions = {
+            showPage: el => this.showPage(el.dataset.page),
+            leaveLiveFinder: () => {
+                this.stopLiveFinder();
+                this.showPage('dashboard');
+            },
+            mapZoom: el => this.mapZoom(Number(el.dataset.delta)),
+            zoomRadar: el => this.zoomRadar(Number(el.dataset.delta)),
+            changeActivityPage: el => this.changeActivityPage(Number(el.dataset.delta)),
+            applyImport: el => this.applyImport(el.dataset.mode),
+            setPrimaryPhoto: el => this.setPrimaryPhoto(Number(el.dataset.index)),
+            removePhoto: el => this.removePhoto(Number(el.dataset.index))
+        };
+        [
+            'toggleLeash', 'editItem', 'openPhotoManager', 'returnItem', 'openLendModal',
+            'findItem', 'updateItemLocation', 'deleteItem', 'showItemTrail',
+            'selectRadarItem', 'removeCategory', 'removeSafeZone'
+        ].forEach(method => {
+            actions[method] = byId(method);
+        });
+        [
+            'startCameraScan', 'closeCameraModal', 'toggleCamera', 'captureScan',
+            'capturePhoto', 'uploadPhoto', 'clearItemView', 'openCategoryModal',
+            'closeCategoryModal', 'addCategory', 'exportActivity', 'applyUpdate',
+            'dismissUpdateBanner', 'cancelSaveItem', 'closePhotoManager', 'saveItem',
+            'loadTrackedItems', 'startLiveTracking', 'stopLiveTracking', 'toggleSound',
+            'toggleVibration', 'updateLocation', 'pairBluetoothTag', 'toggleRecording',
+            'downloadTrace', 'loadTrace', 'calibrateTag', 'resetTagCalibration',
+            'toggleGuidedMode', 'toggleNavigation', 'loadMapExtract', 'addSafeZone', 'snoozeLeashAlert', 'dismissLeashAlert',
+            'playTrail', 'mapFitAll', 'saveTileSource', 'saveSyncSettings', 'syncNow',
+            'closeLendModal', 'lendItem', 'exportItems', 'importItems', 'closeImportModal',
+            'updateItemView', 'updateActivityView', 'updateCategoryIconPreview', 'updateRadarSettings',
+            'toggleVoice', 'updateVoiceSettings'
+        ].forEach(method => {
+            actions[method] = () => this[method]();
+        });
+
+        const dispatch = (event, attribute) => {
+            const el = event.target.closest(`[data-${attribute}]`);
+            if (!el) return;
+            const action = actions[el.dataset[attribute]];
+            if (action) {
+                action(el, event);
+            } else {
+                console.warn('Unknown UI action:', el.dataset[attribute]);
+            }
+        };
+
+        document.addEventListener('click', event => dispatch(event, 'action'));
+        document.addEventListener('change', event => dispatch(event, 'change'));
+        document.addEventListener('input', event => dispatch(event, 'input'));
+    }
+
+    // Setup event listeners
+    setupEventListeners() {
+        // Photo upload
+        const photoUpload = document.getElementById('photoUpload');
+        if (photoUpload) {
+            photoUpload.addEventListener('change', (e) => {
+                this.handlePhotoUpload(e);
+            });
+        }
+
+        // Item import file
+        const importUpload = document.getElementById('importUpload');
+        if (importUpload) {
+            importUpload.addEventListener('change', (e) => {
+                this.handleImportUpload(e);
+            });
+        }
+
+        // Trace file for replay
+        const traceUpload = document.getElementById('traceUpload');
+        if (traceUpload) {
+            traceUpload.addEventListener('change', (e) => {
+                this.handleTraceUpload(e);
+            });
+        }
+
+        // OpenStreetMap extract for walking directions
+        const osmUpload = document.getElementById('osmUpload');
+        if (osmUpload) {
+            osmUpload.addEventListener('change', (e) => {
+                this.handleMapExtractUpload(e);
+            });
+        }
+
+        // Category presets attach method and leash distance
+        const itemCategory = document.getElementById('itemCategory');
+        if (itemCategory) {
+            itemCategory.addEventListener('change', () => {
+                this.applyCategoryDefaults();
+            });
+        }
+
+        // Show tag pairing for Bluetooth attach method
+        const attachMethod = document.getElementById('attachMethod');
+        if (attachMethod) {
+            attachMethod.addEventListener('change', () => {
+                this.updateTagPairingVisibility();
+            });
+        }
+
+        // Watch for item selection in finder
+        const finderSelect = document.getElementById('finderItemSelect');
+        if (finderSelect) {
+            finderSelect.addEventListener('change', () => {
+                this.selectFinderItem();
+            });
+        }
+        
+        this.setupRadarGestures();
+    }
+
+    // Pinch or wheel to zoom the radar
+    setupRadarGestures() {
+        const radar = document.getElementById('radar');
+        if (!radar) return;
+        
+        const pointers = new Map();
+        let pinch = null;
+        const spread = () => {
+            const [a, b] = pointers.values();
+            return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+        };
+        
+        radar.addEventListener('pointerdown', (e) => {
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pointers.size === 2) {
+                pinch = { spread: spread(), range: this.radarRange };
+            }
+        });
+        
+        radar.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId)) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pinch && pointers.size === 2) {
+                // Fingers apart zooms in: the same distance now spans more of the radar
+                this.setRadarZoom(pinch.range * pinch.spread / spread(), false);
+            }
+        });
+        
+        const endPointer = (e) => {
+            pointers.delete(e.pointerId);
+            if (pinch && pointers.size < 2) {
+                pinch = null;
+                this.saveRadarSettings();
+            }
+        };
+        radar.addEventListener('pointerup', endPointer);
+        radar.addEventListener('pointercancel', endPointer);
+        radar.addEventListener('pointerleave', endPointer);
+        
+        radar.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomRadar(e.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+    }
+
+    // Page navigation
+    showPage(pageId) {
+        // Hide all pages
+        document.querySelectorAll('.page').forEach(page => {
+            page.classList.remove('active');
+        });
+        
+        // Leaving the form ends any edit in progress
+        if (pageId !== 'saveItem' && this.editingItemId) {
+            this.editingItemId = null;
+            this.fillItemForm(null);
+        }
+        
+        // Show selected page
+        const page = document.getElementById(pageId);
+        if (page) {
+            page.classList.add('active');
+            
+            // Initialize page-specific content
+            switch(pageId) {
+                case 'dashboard':
+                    this.updateStats();
+                    break;
+                case 'trackedItems':
+                    this.loadTrackedItems();
+                    break;
+                case 'saveItem':
+                    this.initSaveItemPage();
+                    break;
+                case 'liveFinder':
+                    this.initLiveFinderPage();
+                    break;
+                case 'map':
+                    this.initMapPage();
+                    break;
+                case 'activity':
+                    this.initActivityPage();
+                    break;
+            }
+        }
+    }
+
+    isPageActive(pageId) {
+        const page = document.getElementById(pageId);
+        return !!page && page.classList.contains('active');
+    }
+
+    // Initialize map page
+    initMapPage() {
+        const container = document.getElementById('mapView');
+        if (!container) return;
+        
+        if (!this.mapView) {
+            this.mapView = new MapView(container, {
+                tileSource: createTileSource(this.mapSettings.tileUrl),
+                onItemSelect: (itemId) => this.findItem(itemId)
+            });
+        }
+        
+        const tileInput = document.getElementById('tileSourceUrl');
+        if (tileInput) tileInput.value = this.mapSettings.tileUrl;
+        
+        this.updateMapView();
+        this.mapView.fitAll();
+        if (this.items.size === 0 && this.currentLocation) {
+            this.mapView.setView(this.currentLocation, 16);
+        }
+    }
+
+    // Push items and the current position to the map
+    updateMapView() {
+        const items = Array.from(this.items.values()).map(item => ({
+            id: item.id,
+            name: item.name,
+            location: item.location,
+            icon: this.getCategoryIcon(item.category),
+            color: this.categories.get(item.category).color
+        }));
+        this.mapView.setData(items, this.currentLocation);
+        
+        const summary = document.getElementById('mapSummary');
+        if (summary) {
+            summary.textContent = `${items.length} item${items.length === 1 ? '' : 's'}` +
+                (this.mapSettings.tileUrl ? '' : ' · grid only (no tile source)');
+        }
+    }
+
+    mapZoom(delta) {
+        if (this.mapView) this.mapView.zoomBy(delta);
+    }
+
+    mapFitAll() {
+        if (this.mapView) this.mapView.fitAll();
+    }
+
+    // Load sync settings, queue items changed since the last run and connect
+    initSync() {
+        this.syncClient.load();
+        if (this.syncClient.trackItems(Array.from(this.items.values()))) {
+            // Persist the edit times stamped on first run
+            this.store.saveItems(Array.from(this.items.values()))
+                .catch(error => this.reportStorageError(error));
+        }
+        
+        const endpoint = document.getElementById('syncEndpoint');
+        const token = document.getElementById('syncToken');
+        if (endpoint) endpoint.value = this.syncClient.settings.endpoint;
+        if (token) token.value = this.syncClient.settings.token;
+        
+        // Catch up as soon as the connection comes back
+        window.addEventListener('online', () => this.syncClient.sync());
+        this.syncClient.connect();
+    }
+
+    // Connect to the server entered on the dashboard (empty turns sync off)
+    saveSyncSettings() {
+        const endpointInput = document.getElementById('syncEndpoint');
+        const tokenInput = document.getElementById('syncToken');
+        const endpoint = endpointInput ? endpointInput.value.trim() : '';
+        const token = tokenInput ? tokenInput.value.trim() : '';
+        
+        if (endpoint) {
+            let url = null;
+            try {
+                url = new URL(endpoint);
+            } catch (error) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+                alert('Please enter an http(s):// or ws(s):// sync server address');
+                return;
+            }
+        }
+        
+        this.syncClient.configure({ endpoint, token });
+        this.logActivity(endpoint ? `Sync connected to ${endpoint}` : 'Sync turned off', 'sync');
+    }
+
+    syncNow() {
+        if (!this.syncClient.enabled) {
+            alert('Please enter a sync server address first');
+            return;
+        }
+        this.syncClient.sync();
+    }
+
+    // Apply items merged from other devices
+    async applySyncChanges({ updated, deleted }) {
+        deleted.forEach(itemId => this.forgetItem(itemId));
+        updated.forEach(item => {
+            this.items.set(item.id, item);
+            if (this.currentItem && this.currentItem.id === item.id) {
+                this.currentItem = item;
+            }
+        });
+        
+        await Promise.all(deleted.map(itemId =>
+            this.store.deleteItem(itemId).catch(error => this.reportStorageError(error))));
+        await this.saveItemsToStorage();
+        updated.forEach(item => this.watchBluetoothTag(item));
+        
+        this.loadTrackedItems();
+        this.updateStats();
+        if (this.mapView && this.isPageActive('map')) {
+            this.updateMapView();
+        }
+        
+        const count = updated.length + deleted.length;
+        this.logActivity(`Synced ${count} item${count === 1 ? '' : 's'} from other devices` +
+            (deleted.length ? ` (${deleted.length} deleted)` : ''), 'sync');
+    }
+
+    // Sync state on the dashboard
+    renderSyncStatus() {
+        const status = document.getElementById('syncStatus');
+        if (!status) return;
+        
+        const { state, lastSyncAt, error } = this.syncClient.status;
+        const pending = this.syncClient.pendingCount;
+        const queued = pending ? ` · ${pending} change${pending === 1 ? '' : 's'} queued` : '';
+        const text = {
+            off: 'Sync off - items stay on this device',
+            syncing: 'Syncing...',
+            synced: `Synced ${lastSyncAt ? lastSyncAt.toLocaleTimeString() : ''}${queued}`,
+            offline: `Offline${queued}`,
+            error: `Sync failed: ${error}${queued}`
+        }[state];
+        
+        status.className = `storage-status sync-status${state === 'error' ? ' error' : state === 'offline' ? ' warning' : ''}`;
+        status.querySelector('span').textContent = text;
+    }
+
+    // Save the tile URL template; empty uses the vector grid
+    saveTileSource() {
+        const tileInput = document.getElementById('tileSourceUrl');
+        this.mapSettings.tileUrl = tileInput ? tileInput.value.trim() : '';
+        localStorage.setItem('traceit_map_settings', JSON.stringify(this.mapSettings));
+        
+        if (this.mapView) {
+            this.mapView.setTileSource(createTileSource(this.mapSettings.tileUrl));
+            this.updateMapView();
+        }
+    }
+
+    // Initialize save item page
+    initSaveItemPage() {
+        // Update current location display
+        if (this.currentLocation) {
+            this.elements.currentLocation.textContent = 'Location ready';
+            this.elements.currentLat.textContent = this.currentLocation.lat.toFixed(6);
+            this.elements.currentLng.textContent = this.currentLocation.lng.toFixed(6);
+        }
+        
+        this.updateTagPairingVisibility();
+        this.updateTagStatus();
+    }
+
+    // Show the tag pairing controls only for the Bluetooth attach method
+    updateTagPairingVisibility() {
+        const attachMethod = document.getElementById('attachMethod');
+        const pairing = document.getElementById('tagPairing');
+        if (!attachMethod || !pairing) return;
+        
+        pairing.hidden = attachMethod.value !== 'bluetooth';
+    }
+
+    // Update paired tag status on the save item page
+    updateTagStatus() {
+        const status = document.getElementById('tagStatus');
+        if (!status) return;
+        
+        if (this.pendingTag) {
+            status.textContent = `Paired: ${this.pendingTag.name}`;
+        } else if (this.bluetoothTags.isAvailable()) {
+            status.textContent = 'No tag paired';
+        } else {
+            status.textContent = 'Web Bluetooth unavailable - signal will be simulated';
+        }
+    }
+
+    // Pair a BLE tag for the item being saved
+    async pairBluetoothTag() {
+        if (!this.bluetoothTags.isAvailable()) {
+            alert('Web Bluetooth is not available in this browser');
+            return;
+        }
+        
+        try {
+            this.pendingTag = await this.bluetoothTags.pairTag();
+            this.updateTagStatus();
+            this.logActivity(`Paired Bluetooth tag: ${this.pendingTag.name}`, 'bluetooth');
+        } catch (error) {
+            // User cancelled the chooser or pairing failed
+            console.warn('Bluetooth pairing failed:', error.message);
+            this.updateTagStatus();
+        }
+    }
+
+    // Initialize live finder page
+    initLiveFinderPage() {
+        this.populateFinderItems();
+        this.stopLiveTracking(); // Ensure tracking is stopped
+    }
+
+    // Populate items in finder dropdown
+    populateFinderItems() {
+        const select = document.getElementById('finderItemSelect');
+        if (!select) return;
+        
+        // Clear existing options except first
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        
+        // Add items
+        this.items.forEach((item, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = item.name;
+            select.appendChild(option);
+        });
+        
+        // Items that can be chosen for the radar
+        const radarItems = document.getElementById('radarItems');
+        if (radarItems) {
+            radarItems.innerHTML = html`${Array.from(this.items.values(), item => html`
+                <option value="${item.id}">${item.name}</option>
+            `)}`;
+            Array.from(radarItems.options).forEach(option => {
+                option.selected = this.radarSettings.itemIds.includes(option.value);
+            });
+        }
+    }
+
+    // Handle item selection in finder
+    selectFinderItem() {
+        const select = document.getElementById('finderItemSelect');
+        const itemId = select.value;
+        
+        if (!itemId) {
+            this.currentItem = null;
+            this.updateProximityFeedback('Select an item to begin tracking');
+            this.resetRadar();
+            return;
+        }
+        
+        this.currentItem = this.items.get(itemId);
+        if (this.currentItem) {
+            this.updateProximityFeedback(`Tracking ${this.currentItem.name}`);
+            this.updateLastSeenTime(this.currentItem);
+        }
+        this.updateCalibrationStatus();
+        
+        // The previous item's marker is stale; show the new one on the next tick
+        this.resetRadar();
+        if (this.liveTracking) {
+            this.updateTracking();
+        }
+    }
+
+    // Tap on another item's radar marker: track that item instead
+    selectRadarItem(itemId) {
+        const select = document.getElementById('finderItemSelect');
+        if (!select || !this.items.has(itemId)) return;
+        
+        select.value = itemId;
+        this.selectFinderItem();
+    }
+
+    // Show the selected item's path-loss calibration
+    updateCalibrationStatus() {
+        const status = document.getElementById('calibrationStatus');
+        if (!status) return;
+        
+        const item = this.currentItem;
+        if (!item || item.attachMethod !== 'bluetooth') {
+            status.textContent = 'Calibration applies to Bluetooth tags';
+            return;
+        }
+        
+        const { txPower, pathLossExponent } = {...DEFAULT_TAG_CALIBRATION, ...item.calibration};
+        status.textContent = `${Math.round(txPower)} dBm @ 1 m, n = ${pathLossExponent.toFixed(1)}` +
+            (item.calibration ? '' : ' (default)');
+    }
+
+    // Calibrate the selected tag held at a known distance.
+    // At 1 m this sets the reference power, at other distances the path-loss exponent.
+    calibrateTag() {
+        const item = this.currentItem;
+        if (!item || item.attachMethod !== 'bluetooth') {
+            alert('Select a Bluetooth tag item to calibrate');
+            return;
+        }
+        if (this.calibrationRun) return;
+        
+        const distance = Number(document.getElementById('calibrationDistance').value);
+        if (!(distance > 0)) {
+            alert('Enter the distance between phone and tag in meters');
+            return;
+        }
+        
+        this.calibrationRun = { item: item, distance: distance, samples: [] };
+        this.updateProximityFeedback(`Calibrating - hold the tag ${distance} m away...`);
+        
+        setTimeout(() => {
+            this.finishCalibration();
+        }, CALIBRATION_DURATION);
+    }
+
+    finishCalibration() {
+        const { item, distance, samples } = this.calibrationRun;
+        this.calibrationRun = null;
+        
+        if (samples.length < 3) {
+            alert('Not enough signal readings - make sure the tag is advertising and try again');
+            this.updateProximityFeedback('Calibration failed');
+            return;
+        }
+        
+        const rssi = median(samples);
+        const calibration = {...DEFAULT_TAG_CALIBRATION, ...item.calibration};
+        
+        if (Math.abs(distance - 1) < 0.05) {
+            calibration.txPower = rssi;
+        } else {
+            const exponent = (calibration.txPower - rssi) / (10 * Math.log10(distance));
+            if (!(exponent >= MIN_PATH_LOSS_EXPONENT && exponent <= MAX_PATH_LOSS_EXPONENT)) {
+                alert('Calibration result out of range - calibrate at 1 m first, then retry');
+                this.updateProximityFeedback('Calibration failed');
+                return;
+            }
+            calibration.pathLossExponent = exponent;
+        }
+        
+        this.setTagCalibration(item, calibration);
+        this.logActivity(`Calibrated tag for ${item.name}`, 'bluetooth', item);
+        this.updateProximityFeedback('Calibration saved');
+    }
+
+    // Restore the default path-loss model for the selected tag
+    resetTagCalibration() {
+        if (!this.currentItem) return;
+        this.setTagCalibration(this.currentItem, null);
+    }
+
+    setTagCalibration(item, calibration) {
+        item.calibration = calibration;
+        this.proximityEstimators.delete(item.id);
+        if (this.items.has(item.id)) {
+            this.saveItemsToStorage();
+        }
+        this.updateCalibrationStatus();
+    }
+
+    // Start live tracking
+    startLiveTracking() {
+        if (!this.currentItem) {
+            alert('Please select an item to track first');
+            return;
+        }
+        
+        this.liveTracking = true;
+        this.lastAnnouncement = 0;
+        if (this.soundEnabled) {
+            this.sonar.resume();
+        }
+        
+        // Enable/disable buttons
+        document.getElementById('startTrackingBtn').disabled = true;
+        document.getElementById('stopTrackingBtn').disabled = false;
+        
+        // Start tracking loop (in the background monitor, so it survives page switches)
+        if (this.cancelTracking) this.cancelTracking();
+        this.cancelTracking = this.monitor.every(MONITOR_TRACKING_INTERVAL, () => {
+            this.updateTracking();
+        });
+        
+        if (this.recordingEnabled && !this.replay) {
+            this.startRecording();
+        }
+        
+        this.logActivity(`Started tracking ${this.currentItem.name}`, 'tracking', this.currentItem);
+        this.updateProximityFeedback(`Tracking ${this.currentItem.name} - Getting signal...`);
+    }
+
+    // Stop live tracking
+    stopLiveTracking() {
+        this.liveTracking = false;
+        
+        // Enable/disable buttons
+        document.getElementById('startTrackingBtn').disabled = false;
+        document.getElementById('stopTrackingBtn').disabled = true;
+        
+        // Cancel the tracking loop
+        if (this.cancelTracking) {
+            this.cancelTracking();
+            this.cancelTracking = null;
+        }
+        
+        // Reset radar and direction finding
+        this.stopTrail();
+        this.resetRadar();
+        this.lastBearing = null;
+        this.guidedBearing = null;
+        this.directionFinder.reset();
+        if (window.speechSynthesis) {
+            window.speechSynthesis.cancel();
+        }
+        
+        if (this.recorder) {
+            this.finishRecording();
+        }
+        if (this.replay) {
+            this.stopReplay();
+        }
+        
+        this.logActivity('Stopped tracking', 'tracking');
+        this.updateProximityFeedback('Tracking stopped');
+    }
+
+    // Toggle sensor recording during live tracking
+    toggleRecording() {
+        this.recordingEnabled = !this.recordingEnabled;
+        const btn = document.getElementById('recordToggle');
+        if (btn) {
+            btn.setAttribute('aria-pressed', String(this.recordingEnabled));
+            btn.style.color = this.recordingEnabled ? '#ef4444' : '';
+        }
+        
+        if (this.recordingEnabled && this.liveTracking && !this.recorder && !this.replay) {
+            this.startRecording();
+        } else if (!this.recordingEnabled && this.recorder) {
+            this.finishRecording();
+        }
+    }
+
+    // Start capturing sensor samples
+    startRecording() {
+        const item = this.currentItem;
+        this.recorder = new SensorRecorder(this.sensors, {
+            item: item ? {
+                id: item.id,
+                name: item.name,
+                category: item.category,
+                location: { lat: item.location.lat, lng: item.location.lng }
+            } : null
+        });
+        this.recorder.start();
+        this.logActivity('Recording sensor trace', 'tracking');
+    }
+
+    // Stop capturing and keep the trace for download
+    finishRecording() {
+        this.lastTrace = this.recorder.stop();
+        this.recorder = null;
+        
+        const downloadBtn = document.getElementById('downloadTraceBtn');
+        if (downloadBtn) downloadBtn.disabled = false;
+        
+        this.logActivity(`Recorded ${this.lastTrace.samples.length} sensor samples`, 'tracking');
+    }
+
+    // Download the last recorded trace as JSON
+    downloadTrace() {
+        if (!this.lastTrace) return;
+        
+        const stamp = this.lastTrace.startedAt.replace(/[-:]/g, '').replace(/\..*$/, '');
+        downloadFile(`traceit-trace-${stamp}.json`, JSON.stringify(this.lastTrace, null, 2), 'application/json');
+    }
+
+    // Pick a trace file to replay
+    loadTrace() {
+        document.getElementById('traceUpload').click();
+    }
+
+    handleTraceUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const trace = parseSensorTrace(e.target.result);
+                const speedSelect = document.getElementById('replaySpeed');
+                this.startReplay(trace, speedSelect ? Number(speedSelect.value) : 1);
+            } catch (error) {
+                alert('Cannot replay trace: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+        
+        // Allow picking the same file again
+        event.target.value = '';
+    }
+
+    // Replay a recorded trace through the live finder
+    startReplay(trace, speed = 1) {
+        if (this.liveTracking) {
+            this.stopLiveTracking();
+        }
+        
+        // Target the recorded item, or a transient copy if it is not saved here
+        const recorded = trace.item;
+        const item = recorded && (this.items.get(recorded.id) || {
+            ...recorded,
+            attachMethod: 'bluetooth',
+            lastSeen: new Date(trace.startedAt)
+        });
+        if (!item) {
+            alert('Trace does not reference an item');
+            return;
+        }
+        
+        let ended = 0;
+        const previousSensors = this.sensors;
+        this.detachSensors();
+        this.replay = { trace: trace, previousSensors: previousSensors };
+        this.attachSensors(createSensorProviders('replay', {
+            trace: trace,
+            replaySpeed: speed,
+            onReplayEnd: () => {
+                ended++;
+                if (ended === SENSOR_KINDS.length && this.replay) {
+                    this.logActivity('Trace replay finished', 'tracking');
+                    this.stopLiveTracking();
+                }
+            }
+        }));
+        
+        this.currentItem = item;
+        this.logActivity(`Replaying trace for ${item.name} at ${speed}x`, 'tracking', item);
+        this.startLiveTracking();
+    }
+
+    // Restore the sensors that were active before replay
+    stopReplay() {
+        const previousSensors = this.replay.previousSensors;
+        this.replay = null;
+        this.detachSensors();
+        this.attachSensors(previousSensors);
+    }
+
+    // Sightings to replay: today's, or the most recent ones if none today
+    getTrailSightings(item) {
+        const sightings = item.sightings || [];
+        const today = new Date().toDateString();
+        const todays = sightings.filter(sighting => new Date(sighting.timestamp).toDateString() === today);
+        return todays.length ? todays : sightings.slice(-20);
+    }
+
+    // Replay an item's movement on the radar, relative to the current location
+    playTrail() {
+        const item = this.currentItem;
+        if (!item) {
+            alert('Please select an item first');
+            return;
+        }
+        
+        const sightings = this.getTrailSightings(item);
+        const radar = document.querySelector('.radar');
+        if (!radar || sightings.length === 0) {
+            this.updateProximityFeedback(`No location history for ${item.name}`);
+            return;
+        }
+        
+        if (this.liveTracking) {
+            this.stopLiveTracking();
+        }
+        this.stopTrail();
+        
+        const origin = this.currentLocation || sightings[sightings.length - 1];
+        const distances = sightings.map(sighting => this.calculateDistance(sighting, origin));
+        if (this.radarSettings.autoZoom) {
+            this.radarRange = autoRadarRange(Math.max(...distances));
+            this.renderRadarRings();
+        }
+        const positions = sightings.map((sighting, index) => this.getRadarPosition(
+            distances[index],
+            this.calculateDirection(sighting, origin)
+        ));
+        
+        // Draw the whole trail, then walk the marker along it
+        this.trailDots = positions.map(position => {
+            const dot = document.createElement('div');
+            dot.className = 'trail-dot';
+            dot.style.left = `${position.x}%`;
+            dot.style.top = `${position.y}%`;
+            radar.appendChild(dot);
+            return dot;
+        });
+        
+        let index = 0;
+        this.trailTimer = setInterval(() => {
+            if (index >= sightings.length) {
+                clearInterval(this.trailTimer);
+                this.trailTimer = null;
+                this.updateProximityFeedback(`Trail replay finished (${sightings.length} sightings)`);
+                return;
+            }
+            
+            const sighting = sightings[index];
+            const position = positions[index];
+            this.trailDots[index].classList.add('visited');
+            if (this.elements.targetMarker) {
+                this.elements.targetMarker.style.left = `${position.x}%`;
+                this.elements.targetMarker.style.top = `${position.y}%`;
+            }
+            
+            const time = new Date(sighting.timestamp).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
+            this.updateProximityFeedback(`${item.name} at ${time} (${sighting.source})`);
+            index++;
+        }, TRAIL_STEP_INTERVAL);
+        
+        this.logActivity(`Replaying trail for ${item.name}`, 'tracking', item);
+    }
+
+    // Stop trail playback and clear its dots
+    stopTrail() {
+        if (this.trailTimer) {
+            clearInterval(this.trailTimer);
+            this.trailTimer = null;
+        }
+        this.trailDots.forEach(dot => dot.remove());
+        this.trailDots = [];
+    }
+
+    // Open the finder for an item and replay its trail
+    showItemTrail(itemId) {
+        this.findItem(itemId);
+        if (this.currentItem && this.currentItem.id === itemId) {
+            this.playTrail();
+        }
+    }
+
+    // Stop finder completely
+    stopLiveFinder() {
+        this.stopLiveTracking();
+        this.currentItem = null;
+        
+        // Reset finder selection
+        const select = document.getElementById('finderItemSelect');
+        if (select) select.value = '';
+    }
+
+    // Update tracking display
+    updateTracking() {
+        if (!this.currentItem || !this.currentLocation) return;
+        
+        // Calculate current GPS distance
+        const gpsDistance = this.calculateDistance(this.currentItem.location, this.currentLocation);
+        
+        // Get Bluetooth data (real tag or simulated)
+        const reading = this.getTagReading(this.currentItem);
+        const rssi = reading ? reading.rssi : -70;
+        
+        // Refine distance with tag RSSI
+        const distance = this.estimateItemDistance(this.currentItem, gpsDistance, reading).distance;
+        
+        // Calculate direction
+        const direction = this.calculateDirection(this.currentItem.location, this.currentLocation);
+        this.lastBearing = direction;
+        
+        // Far away in navigation mode: the arrow follows the walking route instead
+        const directions = this.navigationMode && distance > NAV_ARRIVAL_DISTANCE ?
+            this.getWalkingDirections() : null;
+        if (directions) {
+            this.lastBearing = directions.bearing;
+        }
+        
+        // Update UI
+        this.updateRadar(distance, direction);
+        this.updateDirectionArrow();
+        this.updateStatsDisplay(distance, direction, rssi);
+        if (directions) {
+            this.updateProximityFeedback(directions.message);
+            if (this.elements.proximityFeedback) {
+                this.elements.proximityFeedback.style.borderLeft = '4px solid #6366f1';
+            }
+        } else if (this.guidedMode) {
+            this.updateGuidanceFeedback();
+        } else {
+            this.updateProximityFeedbackBasedOnDistance(distance);
+        }
+        
+        // Update sound and vibration, and announce progress now and then
+        this.updateProximityEffects(distance);
+        this.announceProgress(distance, direction, directions);
+        
+        // Update last seen time
+        this.updateLastSeenTime(this.currentItem);
+    }
+
+    // Update radar visualization
+    updateRadar(distance, direction) {
+        this.radarTarget = { distance: distance, direction: direction };
+        this.drawRadar();
+    }
+
+    // Draw the range rings, the tracked item and any other shown items at the current zoom
+    drawRadar() {
+        if (!this.elements.targetMarker || !this.elements.distanceRing) return;
+        
+        const others = this.getRadarItems();
+        if (this.radarSettings.autoZoom) {
+            const distances = others.map(entry => entry.distance);
+            if (this.radarTarget) distances.push(this.radarTarget.distance);
+            if (distances.length) {
+                this.radarRange = autoRadarRange(Math.max(...distances));
+            }
+        }
+        this.renderRadarRings();
+        this.renderRadarItems(others);
+        
+        if (!this.radarTarget) return;
+        
+        // Calculate position on radar
+        const { distance, direction } = this.radarTarget;
+        const { x: markerX, y: markerY, normalizedDistance } = this.getRadarPosition(distance, direction);
+        
+        // Update target marker position
+        this.elements.targetMarker.style.left = `${markerX}%`;
+        this.elements.targetMarker.style.top = `${markerY}%`;
+        
+        // Update distance ring
+        const ringSize = normalizedDistance * 100;
+        this.elements.distanceRing.style.width = `${ringSize}%`;
+        this.elements.distanceRing.style.height = `${ringSize}%`;
+        this.elements.distanceRing.style.left = `${markerX}%`;
+        this.elements.distanceRing.style.top = `${markerY}%`;
+    }
+
+    // Position (percent of radar size) for a distance and bearing from the center
+    getRadarPosition(distance, direction) {
+        const normalizedDistance = radarFraction(distance, this.radarRange, this.radarSettings.scale);
+        const angle = (direction * Math.PI) / 180;
+        
+        return {
+            x: 50 + normalizedDistance * Math.sin(angle) * 50,
+            y: 50 - normalizedDistance * Math.cos(angle) * 50,
+            normalizedDistance: normalizedDistance
+        };
+    }
+
+    // Labeled range rings for the current range and scale
+    renderRadarRings() {
+        const container = document.getElementById('radarRings');
+        if (!container) return;
+        
+        const { scale, autoZoom } = this.radarSettings;
+        container.innerHTML = '';
+        radarRingDistances(this.radarRange, scale).forEach(distance => {
+            const size = radarFraction(distance, this.radarRange, scale) * 100;
+            const ring = document.createElement('div');
+            ring.className = 'radar-ring';
+            ring.style.width = `${size}%`;
+            ring.style.height = `${size}%`;
+            
+            const label = document.createElement('span');
+            label.className = 'radar-ring-label';
+            label.textContent = formatDistance(distance);
+            ring.appendChild(label);
+            container.appendChild(ring);
+        });
+        
+        const rangeLabel = document.getElementById('radarRangeLabel');
+        if (rangeLabel) {
+            rangeLabel.textContent = formatDistance(this.radarRange) + (autoZoom ? ' · auto' : '');
+        }
+    }
+
+    // Items shown on the radar besides the tracked one, with distance and bearing from here
+    getRadarItems() {
+        const { show, itemIds } = this.radarSettings;
+        if (show === 'selected' || !this.currentLocation) return [];
+        
+        return Array.from(this.items.values())
+            .filter(item => item !== this.currentItem && item.location &&
+                (show === 'all' || itemIds.includes(item.id)))
+            .map(item => ({
+                item: item,
+                distance: this.calculateDistance(item.location, this.currentLocation),
+                direction: this.calculateDirection(item.location, this.currentLocation)
+            }));
+    }
+
+    // Place a marker (category color and icon) for each other shown item
+    renderRadarItems(entries) {
+        const radar = document.getElementById('radar');
+        if (!radar) return;
+        
+        const shown = new Set();
+        entries.forEach(({ item, distance, direction }) => {
+            let marker = this.radarMarkers.get(item.id);
+            if (!marker) {
+                marker = document.createElement('button');
+                marker.className = 'radar-item';
+                marker.dataset.action = 'selectRadarItem';
+                marker.dataset.id = item.id;
+                marker.appendChild(document.createElement('i'));
+                radar.appendChild(marker);
+                this.radarMarkers.set(item.id, marker);
+            }
+            
+            const category = this.categories.get(item.category);
+            const { x, y } = this.getRadarPosition(distance, direction);
+            marker.style.left = `${x}%`;
+            marker.style.top = `${y}%`;
+            marker.style.background = category.color;
+            marker.firstChild.className = `fas fa-${category.icon}`;
+            marker.title = `${item.name} · ${formatDistance(distance)}`;
+            marker.setAttribute('aria-label', `Track ${item.name}, ${formatDistance(distance)} away`);
+            shown.add(item.id);
+        });
+        
+        this.radarMarkers.forEach((marker, itemId) => {
+            if (!shown.has(itemId)) {
+                marker.remove();
+                this.radarMarkers.delete(itemId);
+            }
+        });
+    }
+
+    // Zoom buttons: step to the next preset range (positive delta zooms in)
+    zoomRadar(delta) {
+        const range = delta > 0 ?
+            RADAR_RANGES.slice().reverse().find(preset => preset < this.radarRange) :
+            RADAR_RANGES.find(preset => preset > this.radarRange);
+        if (!range) return;
+        
+        this.setRadarZoom(range);
+    }
+
+    // Fix the radar range (turning auto zoom off); pinch zoom saves once the gesture ends
+    setRadarZoom(range, save = true) {
+        const min = RADAR_RANGES[0];
+        const max = RADAR_RANGES[RADAR_RANGES.length - 1];
+        this.radarRange = Math.min(Math.max(range, min), max);
+        this.radarSettings.range = this.radarRange;
+        this.radarSettings.autoZoom = false;
+        
+        this.renderRadarControls();
+        this.drawRadar();
+        if (save) this.saveRadarSettings();
+    }
+
+    // Read the radar scale, zoom and item choices from the finder controls
+    updateRadarSettings() {
+        const show = document.getElementById('radarShow').value;
+        const radarItems = document.getElementById('radarItems');
+        
+        this.radarSettings = {
+            scale: document.getElementById('radarScale').value,
+            autoZoom: document.getElementById('radarAutoZoom').checked,
+            range: this.radarRange,
+            show: show,
+            itemIds: Array.from(radarItems.selectedOptions, option => option.value)
+        };
+        radarItems.hidden = show !== 'custom';
+        
+        this.saveRadarSettings();
+        this.drawRadar();
+    }
+
+    // Reflect the radar settings in the finder controls
+    renderRadarControls() {
+        const scale = document.getElementById('radarScale');
+        if (!scale) return;
+        
+        scale.value = this.radarSettings.scale;
+        document.getElementById('radarAutoZoom').checked = this.radarSettings.autoZoom;
+        document.getElementById('radarShow').value = this.radarSettings.show;
+        document.getElementById('radarItems').hidden = this.radarSettings.show !== 'custom';
+    }
+
+    // Load radar settings from storage
+    loadRadarSettings() {
+        try {
+            const saved = localStorage.getItem('traceit_radar_settings');
+            if (saved) {
+                this.radarSettings = {...this.radarSettings, ...JSON.parse(saved)};
+            }
+        } catch (error) {
+            console.error('Error loading radar settings:', error);
+        }
+        this.radarRange = this.radarSettings.range;
+        this.renderRadarControls();
+        this.renderRadarRings();
+    }
+
+    saveRadarSettings() {
+        localStorage.setItem('traceit_radar_settings', JSON.stringify(this.radarSettings));
+    }
+
+    // Reset radar to initial state
+    resetRadar() {
+        this.radarTarget = null;
+        if (this.elements.targetMarker) {
+            this.elements.targetMarker.style.left = '50%';
+            this.elements.targetMarker.style.top = '50%';
+        }
+        
+        if (this.elements.distanceRing) {
+            this.elements.distanceRing.style.width = '0%';
+            this.elements.distanceRing.style.height = '0%';
+        }
+        
+        // Reset stats display
+        this.elements.distanceValue.textContent = '-- m';
+        this.elements.directionValue.textContent = '--°';
+        this.elements.rssiValue.textContent = '-- dBm';
+        
+        this.drawRadar();
+    }
+
+    // Calculate direction from user to item
+    calculateDirection(itemLocation, userLocation) {
+        return geoBearing(userLocation, itemLocation);
+    }
+
+    // Update statistics display
+    updateStatsDisplay(distance, direction, rssi) {
+        // Show decimeters up close, where the RSSI estimate matters
+        const shownDistance = distance < 10 ? distance.toFixed(1) : Math.round(distance);
+        this.elements.distanceValue.textContent = `${shownDistance} m`;
+        this.elements.directionValue.textContent = `${Math.round(direction)}°`;
+        this.elements.rssiValue.textContent = `${Math.round(rssi)} dBm`;
+    }
+
+    // Update proximity feedback message
+    updateProximityFeedback(message) {
+        if (this.elements.proximityFeedback) {
+            // Unchanged text is left alone so screen readers don't repeat it
+            const span = this.elements.proximityFeedback.querySelector('span');
+            if (span && span.textContent !== message) span.textContent = message;
+        }
+    }
+
+    // Update proximity feedback based on distance
+    updateProximityFeedbackBasedOnDistance(distance) {
+        let message = '';
+        let color = '#10b981';
+        
+        if (distance < 1) {
+            message = 'Item is within 1 meter!';
+            color = '#10b981'; // Green
+        } else if (distance < 5) {
+            message = 'Item is very close';
+            color = '#10b981';
+        } else if (distance < 20) {
+            message = 'Item is nearby';
+            color = '#f59e0b'; // Yellow
+        } else if (distance < 100) {
+            message = 'Item is within 100 meters';
+            color = '#f59e0b';
+        } else {
+            message = 'Item is far away';
+            color = '#ef4444'; // Red
+        }
+        
+        this.updateProximityFeedback(message);
+        if (this.elements.proximityFeedback) {
+            this.elements.proximityFeedback.style.borderLeft = `4px solid ${color}`;
+        }
+    }
+
+    // Update proximity effects (sound and vibration)
+    updateProximityEffects(distance) {
+        if (this.soundEnabled) {
+            if (this.sonar.available) {
+                // Sonar pings within range, panned towards the item
+                if (distance < SONAR_RANGE) {
+                    this.sonar.ping(distance, this.getRelativeBearing());
+                }
+            } else if (distance < 10) {
+                // No Web Audio: beep when close
+                this.playProximityBeep(distance);
+            }
+        }
+        
+        // Vibrate when very close
+        if (this.vibrationEnabled && distance < 2) {
+            this.vibrateDevice();
+        }
+    }
+
+    // Play proximity beep (frequency increases as distance decreases)
+    playProximityBeep(distance) {
+        if (this.sonar.available) {
+            this.sonar.resume();
+            this.sonar.ping(distance, null);
+            return;
+        }
+        
+        const beep = document.getElementById('proximityBeep');
+        if (beep) {
+            // Calculate playback rate based on distance
+            const rate = Math.max(0.5, 2 - (distance / 10));
+            beep.playbackRate = rate;
+            
+            // Play sound
+            beep.play().catch(e => console.log('Audio play failed:', e));
+        }
+    }
+
+    // Vibrate device (if supported)
+    vibrateDevice() {
+        if ('vibrate' in navigator) {
+            navigator.vibrate([100, 50, 100]);
+        }
+    }
+
+    // Toggle sound
+    toggleSound() {
+        this.soundEnabled = !this.soundEnabled;
+        if (this.soundEnabled) {
+            this.sonar.resume();
+        }
+        
+        const btn = document.getElementById('soundToggle');
+        if (btn) {
+            btn.setAttribute('aria-pressed', String(this.soundEnabled));
+            if (this.soundEnabled) {
+                btn.innerHTML = '<i class="fas fa-volume-up"></i>';
+                btn.style.color = '#10b981';
+            } else {
+                btn.innerHTML = '<i class="fas fa-volume-mute"></i>';
+                btn.style.color = '#ef4444';
+            }
+        }
+    }
+
+    // Toggle vibration
+    toggleVibration() {
+        this.vibrationEnabled = !this.vibrationEnabled;
+        const btn = document.getElementById('vibrationToggle');
+        if (btn) {
+            btn.setAttribute('aria-pressed', String(this.vibrationEnabled));
+            if (this.vibrationEnabled) {
+                btn.style.color = '#10b981';
             } else {
-                btn.innerHTML = '<i class="fas fa-volume-mute"></i>';
                 btn.style.color = '#ef4444';
             }
         }
     }
 
-    // Toggle vibration
-    toggleVibration() {
-        this.vibrationEnabled = !this.vibrationEnabled;
-        const btn = document.getElementById('vibrationToggle');
-        if (btn) {
-            if (this.vibrationEnabled) {
-                btn.style.color = '#10b981';
+    // Toggle spoken announcements of distance and direction
+    toggleVoice() {
+        if (!window.speechSynthesis) {
+            alert('Voice guidance is not supported in this browser');
+            return;
+        }
+        
+        this.voiceSettings.speech = !this.voiceSettings.speech;
+        this.saveVoiceSettings();
+        this.renderVoiceControls();
+        
+        if (this.voiceSettings.speech) {
+            this.announce('Voice guidance on');
+            this.lastAnnouncement = 0;  // Speak the distance on the next update
+        } else {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    // Read the announcement interval from the finder controls
+    updateVoiceSettings() {
+        this.voiceSettings.interval = Number(document.getElementById('announceInterval').value);
+        this.lastAnnouncement = 0;
+        this.saveVoiceSettings();
+    }
+
+    // Reflect the voice settings in the finder controls
+    renderVoiceControls() {
+        const btn = document.getElementById('voiceToggle');
+        if (btn) {
+            btn.setAttribute('aria-pressed', String(this.voiceSettings.speech));
+            btn.style.color = this.voiceSettings.speech ? '#10b981' : '';
+        }
+        const interval = document.getElementById('announceInterval');
+        if (interval) {
+            interval.value = String(this.voiceSettings.interval);
+        }
+    }
+
+    // Load voice settings from storage
+    loadVoiceSettings() {
+        try {
+            const saved = localStorage.getItem('traceit_voice_settings');
+            if (saved) {
+                this.voiceSettings = {...this.voiceSettings, ...JSON.parse(saved)};
+            }
+        } catch (error) {
+            console.error('Error loading voice settings:', error);
+        }
+        if (!VOICE_INTERVALS.includes(this.voiceSettings.interval)) {
+            this.voiceSettings.interval = DEFAULT_VOICE_SETTINGS.interval;
+        }
+        this.renderVoiceControls();
+    }
+
+    saveVoiceSettings() {
+        localStorage.setItem('traceit_voice_settings', JSON.stringify(this.voiceSettings));
+    }
+
+    // Announce distance and direction (or the next turn) at the chosen interval
+    announceProgress(distance, direction, directions) {
+        const interval = this.voiceSettings.interval * 1000;
+        const now = Date.now();
+        if (!interval || now - this.lastAnnouncement < interval) return;
+        this.lastAnnouncement = now;
+        
+        if (directions) {
+            this.announce(directions.spoken);
+        } else {
+            const where = describeItemDirection(direction, this.getRelativeBearing());
+            this.announce(`${this.currentItem.name}, ${formatSpokenDistance(distance)}, ${where}`);
+        }
+    }
+
+    // Put a message in the finder's screen reader live region, and speak it
+    // when voice guidance is on
+    announce(text) {
+        const region = document.getElementById('finderAnnouncement');
+        if (region) {
+            region.textContent = text;
+        }
+        
+        const speech = window.speechSynthesis;
+        if (this.voiceSettings.speech && speech && window.SpeechSynthesisUtterance) {
+            speech.cancel();    // Drop a stale announcement still being spoken
+            speech.speak(new window.SpeechSynthesisUtterance(text));
+        }
+    }
+
+    // Save new item, or the changes to the item being edited
+    saveItem() {
+        if (this.editingItemId) {
+            this.saveItemChanges();
+            return;
+        }
+        
+        const fields = this.getItemFormFields();
+        if (!fields.name.trim()) {
+            alert('Please enter an item name');
+            return;
+        }
+        
+        if (!this.currentLocation) {
+            alert('Please wait for location to be acquired');
+            return;
+        }
+        
+        let item;
+        try {
+            item = Item.create({
+                ...fields,
+                location: {...this.currentLocation},
+                sightings: [this.createSighting('manual')]
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        // Save to storage
+        this.items.set(item.id, item);
+        this.saveItemsToStorage();
+        if (item.owner) {
+            localStorage.setItem(OWNER_STORAGE_KEY, item.owner);
+            this.renderPeopleOptions();
+        }
+        this.fillItemForm(null);
+        
+        // Initialize Bluetooth tag (simulated fallback until the real tag advertises)
+        if (this.simulatedTags.running) {
+            this.simulatedTags.addTag(item);
+        }
+        this.watchBluetoothTag(item);
+        this.pendingTag = null;
+        this.updateTagStatus();
+        
+        // Log activity
+        this.logActivity(`Saved item: ${item.name}`, 'save', item);
+        if (item.leash.enabled) {
+            this.requestNotificationPermission();
+        }
+        
+        // Show success and return to dashboard
+        alert(`${item.name} saved successfully!`);
+        this.showPage('dashboard');
+        this.updateStats();
+    }
+
+    // Editable fields from the save item form
+    getItemFormFields() {
+        const attachMethod = document.getElementById('attachMethod').value;
+        const editing = this.editingItemId && this.items.get(this.editingItemId);
+        
+        return {
+            name: document.getElementById('itemName').value.trim(),
+            category: document.getElementById('itemCategory').value,
+            attachMethod: attachMethod,
+            owner: document.getElementById('itemOwner').value.trim(),
+            notes: document.getElementById('itemNotes').value.trim(),
+            tags: parseTags(document.getElementById('itemTags').value),
+            photos: this.formPhotos.slice(),
+            tag: attachMethod === 'bluetooth' ? this.pendingTag || (editing && editing.tag) || null : null,
+            leash: this.getLeashFromForm()
+        };
+    }
+
+    // Fill the save item form from an item, or reset it for a new one
+    fillItemForm(item) {
+        const category = this.categories.get(item ? item.category : BUILT_IN_CATEGORIES[0].id);
+        const leash = item ? item.leash : {...DEFAULT_LEASH, maxDistance: category.leashDistance};
+        
+        document.getElementById('itemName').value = item ? item.name : '';
+        document.getElementById('itemCategory').value = category.id;
+        document.getElementById('attachMethod').value = item ? item.attachMethod : category.attachMethod;
+        document.getElementById('itemOwner').value = item ? item.owner : localStorage.getItem(OWNER_STORAGE_KEY) || '';
+        document.getElementById('itemNotes').value = item ? item.notes : '';
+        document.getElementById('itemTags').value = item ? item.tags.join(', ') : '';
+        document.getElementById('leashEnabled').checked = leash.enabled;
+        document.getElementById('leashDistance').value = leash.maxDistance;
+        document.getElementById('leashSignalLoss').value = leash.signalLossSeconds;
+        
+        this.formPhotos = item ? item.photos.slice() : [];
+        this.renderPhotoGallery(document.getElementById('photoPreview'), this.formPhotos);
+        
+        document.getElementById('saveItemTitle').textContent = item ? `Edit ${item.name}` : 'Save New Item';
+        document.getElementById('saveItemButton').textContent = item ? 'Save Changes' : 'Save Item';
+        document.getElementById('itemLocationGroup').hidden = !!item;
+        
+        this.updateTagPairingVisibility();
+        this.updateTagStatus();
+    }
+
+    // Open an existing item in the save item form
+    editItem(itemId) {
+        const item = this.items.get(itemId);
+        if (!item) return;
+        
+        this.editingItemId = itemId;
+        this.pendingTag = null;
+        this.fillItemForm(item);
+        this.showPage('saveItem');
+    }
+
+    saveItemChanges() {
+        const item = this.items.get(this.editingItemId);
+        if (!item) return;
+        
+        const hadTag = item.tag;
+        let changed;
+        try {
+            changed = item.update(this.getItemFormFields());
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        if (changed.length) {
+            this.saveItemsToStorage();
+            
+            // Re-watch the tag if it was paired, replaced or removed
+            if (changed.includes('tag')) {
+                if (hadTag) {
+                    this.bluetoothTags.removeTag(item.id);
+                    this.simulatedTags.removeTag(item.id);
+                    this.tagReadings.delete(item.id);
+                    this.proximityEstimators.delete(item.id);
+                }
+                if (item.tag && this.simulatedTags.running) {
+                    this.simulatedTags.addTag(item);
+                }
+                this.watchBluetoothTag(item);
+            }
+            if (changed.includes('leash') && item.leash.enabled) {
+                this.requestNotificationPermission();
+            }
+            this.logActivity(`Edited ${item.name}: ${changed.join(', ')}`, 'update', item);
+        }
+        
+        this.pendingTag = null;
+        this.showPage('trackedItems');
+    }
+
+    // Leave the save item form without saving
+    cancelSaveItem() {
+        this.showPage(this.editingItemId ? 'trackedItems' : 'dashboard');
+    }
+
+    // Read leash settings from the save item form
+    getLeashFromForm() {
+        const enabled = document.getElementById('leashEnabled');
+        const maxDistance = Number(document.getElementById('leashDistance').value);
+        const signalLoss = Number(document.getElementById('leashSignalLoss').value);
+        
+        return {
+            ...DEFAULT_LEASH,
+            enabled: !!(enabled && enabled.checked),
+            maxDistance: maxDistance > 0 ? maxDistance : DEFAULT_LEASH.maxDistance,
+            signalLossSeconds: signalLoss > 0 ? signalLoss : DEFAULT_LEASH.signalLossSeconds
+        };
+    }
+
+    // Load tracked items
+    loadTrackedItems() {
+        const grid = document.getElementById('itemsGrid');
+        if (!grid) return;
+        
+        grid.innerHTML = '';
+        this.syncItemViewControls();
+        
+        const count = document.getElementById('visibleItemCount');
+        const items = this.getVisibleItems();
+        if (count) {
+            count.textContent = items.length === this.items.size ?
+                `${items.length} item${items.length === 1 ? '' : 's'}` :
+                `Showing ${items.length} of ${this.items.size} items`;
+            if (this.itemView.sort === 'distance' && !this.currentLocation) {
+                count.textContent += ' (distance sort needs your location)';
+            }
+        }
+        
+        if (this.items.size === 0) {
+            grid.innerHTML = `
+                <div class="no-items">
+                    <i class="fas fa-box-open"></i>
+                    <h3>No items saved yet</h3>
+                    <p>Save your first item to start tracking</p>
+                    <button class="btn primary" data-action="showPage" data-page="saveItem">Save New Item</button>
+                </div>
+            `;
+            return;
+        }
+        
+        if (items.length === 0) {
+            grid.innerHTML = `
+                <div class="no-items">
+                    <i class="fas fa-search"></i>
+                    <h3>No matching items</h3>
+                    <p>Try a different search or filter</p>
+                    <button class="btn primary" data-action="clearItemView">Clear Filters</button>
+                </div>
+            `;
+            return;
+        }
+        
+        // Create item cards
+        items.forEach(item => {
+            const card = this.createItemCard(item);
+            grid.appendChild(card);
+        });
+    }
+
+    // Search/filter/sort state of the tracked items page, as URL parameters
+    readItemViewFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const sort = params.get('sort');
+        return {
+            query: params.get('q') || '',
+            category: params.get('category') || '',
+            attachMethod: params.get('attach') || '',
+            sort: ITEM_SORT_ORDERS.includes(sort) ? sort : DEFAULT_ITEM_VIEW.sort
+        };
+    }
+
+    writeItemViewToURL() {
+        if (!window.history || !window.history.replaceState) return;
+        
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            q: this.itemView.query,
+            category: this.itemView.category,
+            attach: this.itemView.attachMethod,
+            sort: this.itemView.sort === DEFAULT_ITEM_VIEW.sort ? '' : this.itemView.sort
+        };
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+            else params.delete(key);
+        });
+        
+        const search = params.toString();
+        window.history.replaceState(window.history.state, '',
+            window.location.pathname + (search ? `?${search}` : '') + window.location.hash);
+    }
+
+    // Read the toolbar controls into the view state and redraw
+    updateItemView() {
+        this.itemView = {
+            query: document.getElementById('itemSearch').value,
+            category: document.getElementById('categoryFilter').value,
+            attachMethod: document.getElementById('attachFilter').value,
+            sort: document.getElementById('itemSort').value
+        };
+        this.writeItemViewToURL();
+        this.loadTrackedItems();
+    }
+
+    clearItemView() {
+        this.itemView = {...DEFAULT_ITEM_VIEW};
+        this.writeItemViewToURL();
+        this.loadTrackedItems();
+    }
+
+    // Show the view state in the toolbar controls
+    syncItemViewControls() {
+        const controls = {
+            itemSearch: this.itemView.query,
+            categoryFilter: this.itemView.category,
+            attachFilter: this.itemView.attachMethod,
+            itemSort: this.itemView.sort
+        };
+        Object.entries(controls).forEach(([id, value]) => {
+            const control = document.getElementById(id);
+            if (control && control.value !== value) control.value = value;
+        });
+    }
+
+    // Items matching the current search and filters, in the chosen order
+    getVisibleItems() {
+        const { query, category, attachMethod, sort } = this.itemView;
+        const needle = query.trim().toLowerCase();
+        
+        const matches = (item) => [item.name, item.notes, item.owner, item.loan ? item.loan.borrower : '']
+            .some(text => text.toLowerCase().includes(needle));
+        const items = Array.from(this.items.values()).filter(item =>
+            (!needle || matches(item)) &&
+            (!category || item.category === category) &&
+            (!attachMethod || item.attachMethod === attachMethod));
+        
+        const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+        const comparators = {
+            name: byName,
+            lastSeen: (a, b) => b.lastSeen - a.lastSeen || byName(a, b),
+            distance: (a, b) => this.currentLocation ?
+                this.calculateDistance(a.location, this.currentLocation) -
+                    this.calculateDistance(b.location, this.currentLocation) :
+                byName(a, b)
+        };
+        return items.sort(comparators[sort] || byName);
+    }
+
+    // Create item card HTML
+    createItemCard(item) {
+        const card = document.createElement('div');
+        card.className = 'item-card';
+        
+        const timeAgo = this.getTimeAgo(item.lastSeen);
+        const category = this.categories.get(item.category);
+        const loan = item.loan;
+        
+        card.innerHTML = html`
+            <div class="item-image">
+                ${item.photos.length ? 
+                    html`<img src="${item.photos[0]}" alt="${item.name}">` :
+                    html`<i class="fas fa-${category.icon}" data-color="${category.color}"></i>`
+                }
+                ${item.photos.length > 1 && html`
+                    <div class="item-thumbs">
+                        ${item.photos.slice(1, 4).map(photo => html`<img src="${photo}" alt="">`)}
+                        ${item.photos.length > 4 && html`<span>+${item.photos.length - 4}</span>`}
+                    </div>
+                `}
+            </div>
+            <div class="item-info">
+                <h3>${item.name}</h3>
+                <span class="category-badge" data-color="${category.color}">${category.name}</span>
+                <p class="item-location">
+                    <i class="fas fa-map-marker-alt"></i> 
+                    ${item.location.lat.toFixed(4)}, ${item.location.lng.toFixed(4)}
+                    ${this.currentLocation && `· ${Math.round(this.calculateDistance(item.location, this.currentLocation))} m away`}
+                </p>
+                <p class="item-time">Last seen: ${timeAgo}</p>
+                ${item.owner && html`<p class="item-owner"><i class="fas fa-user"></i> ${item.owner}</p>`}
+                ${loan && html`
+                    <p class="item-loan${item.isOverdue() ? ' overdue' : ''}">
+                        <i class="fas fa-handshake"></i> Lent to ${loan.borrower}
+                        ${loan.dueAt && `· due ${loan.dueAt.toLocaleDateString()}${item.isOverdue() ? ' (overdue)' : ''}`}
+                    </p>
+                `}
+                ${item.notes && html`<p class="item-notes">${item.notes}</p>`}
+                ${item.tags.length > 0 && html`
+                    <div class="item-tags">
+                        ${item.tags.map(tag => html`<span class="item-tag">${tag}</span>`)}
+                    </div>
+                `}
+                ${this.createTimelineHTML(item)}
+                <div class="item-actions">
+                    <button class="item-btn" data-action="toggleLeash" data-id="${item.id}" title="Left-behind alert">
+                        <i class="fas fa-${item.leash && item.leash.enabled ? 'bell' : 'bell-slash'}"></i> Leash
+                    </button>
+                    <button class="item-btn" data-action="editItem" data-id="${item.id}">
+                        <i class="fas fa-pen"></i> Edit
+                    </button>
+                    <button class="item-btn" data-action="openPhotoManager" data-id="${item.id}" title="Reference photos">
+                        <i class="fas fa-images"></i> Photos
+                    </button>
+                    ${loan ? html`
+                        <button class="item-btn" data-action="returnItem" data-id="${item.id}" title="Back with the owner">
+                            <i class="fas fa-undo"></i> Return
+                        </button>
+                    ` : html`
+                        <button class="item-btn" data-action="openLendModal" data-id="${item.id}" title="Lend to someone">
+                            <i class="fas fa-handshake"></i> Lend
+                        </button>
+                    `}
+                    <button class="item-btn" data-action="findItem" data-id="${item.id}">
+                        <i class="fas fa-search"></i> Find
+                    </button>
+                    <button class="item-btn" data-action="updateItemLocation" data-id="${item.id}">
+                        <i class="fas fa-sync-alt"></i> Update
+                    </button>
+                    <button class="item-btn danger" data-action="deleteItem" data-id="${item.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `;
+        applyTemplateColors(card);
+        
+        return card;
+    }
+
+    // Sighting timeline for an item card, newest first
+    createTimelineHTML(item) {
+        const sightings = item.sightings || [];
+        if (sightings.length === 0) return null;
+        
+        const entries = sightings.slice(-20).reverse().map(sighting => html`
+            <li>
+                <i class="fas fa-${this.getSightingIcon(sighting.source)}"></i>
+                <span>${new Date(sighting.timestamp).toLocaleString([], {
+                    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+                })}</span>
+                <small>${sighting.lat.toFixed(4)}, ${sighting.lng.toFixed(4)}</small>
+            </li>
+        `);
+        
+        return html`
+            <details class="item-timeline">
+                <summary>
+                    <i class="fas fa-route"></i> History (${sightings.length})
+                    <button class="small-btn" data-action="showItemTrail" data-id="${item.id}">
+                        <i class="fas fa-play"></i> Trail
+                    </button>
+                </summary>
+                <ol>${entries}</ol>
+            </details>
+        `;
+    }
+
+    // Get sighting source icon
+    getSightingIcon(source) {
+        const icons = {
+            gps: 'location-dot',
+            bluetooth: 'wifi',
+            camera: 'camera',
+            manual: 'hand-pointer',
+            handoff: 'handshake'
+        };
+        return icons[source] || 'location-dot';
+    }
+
+    // Get category icon
+    getCategoryIcon(category) {
+        return this.categories.get(category).icon;
+    }
+
+    // Fill every category and attach method select from the registries
+    renderCategoryOptions() {
+        const categoryOptions = this.categories.all()
+            .map(category => html`<option value="${category.id}">${category.name}</option>`);
+        const attachOptions = ATTACH_METHODS
+            .map(method => html`<option value="${method}">${ATTACH_METHOD_INFO[method].name}</option>`);
+        
+        const selects = {
+            itemCategory: html`${categoryOptions}`,
+            categoryFilter: html`<option value="">All categories</option>${categoryOptions}`,
+            attachMethod: html`${attachOptions}`,
+            attachFilter: html`<option value="">All attach methods</option>${attachOptions}`,
+            newCategoryAttach: html`${attachOptions}`
+        };
+        Object.entries(selects).forEach(([id, options]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            const value = select.value;
+            select.innerHTML = options;
+            if (Array.from(select.options).some(option => option.value === value)) {
+                select.value = value;
+            }
+        });
+    }
+
+    // Preset attach method and leash distance from the chosen category (new items only)
+    applyCategoryDefaults() {
+        if (this.editingItemId) return;
+        
+        const category = this.categories.get(document.getElementById('itemCategory').value);
+        document.getElementById('attachMethod').value = category.attachMethod;
+        document.getElementById('leashDistance').value = category.leashDistance;
+        this.updateTagPairingVisibility();
+    }
+
+    // Render categories on the dashboard
+    renderCategories() {
+        const list = document.getElementById('categoryList');
+        if (!list) return;
+        
+        list.innerHTML = html`${this.categories.all().map(category => html`
+            <div class="activity-item">
+                <i class="fas fa-${category.icon}" data-color="${category.color}"></i>
+                <div class="activity-info">
+                    <h4>${category.name}</h4>
+                    <p>${ATTACH_METHOD_INFO[category.attachMethod].name} · leash ${category.leashDistance} m</p>
+                </div>
+                ${this.categories.isBuiltIn(category.id) ? html`<small>Built-in</small>` : html`
+                    <button class="item-btn danger" data-action="removeCategory" data-id="${category.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                `}
+            </div>
+        `)}`;
+        applyTemplateColors(list);
+    }
+
+    // Lend dialog for an item card
+    openLendModal(itemId) {
+        const item = this.items.get(itemId);
+        if (!item) return;
+        
+        this.lendingItemId = itemId;
+        document.getElementById('lendTitle').textContent = `Lend ${item.name}`;
+        document.getElementById('lendBorrower').value = '';
+        document.getElementById('lendDue').value = '';
+        document.getElementById('lendDue').min = new Date().toISOString().slice(0, 10);
+        document.getElementById('lendModal').classList.add('active');
+    }
+
+    closeLendModal() {
+        document.getElementById('lendModal').classList.remove('active');
+        this.lendingItemId = null;
+    }
+
+    // Record who has the item and until when
+    lendItem() {
+        const item = this.items.get(this.lendingItemId);
+        if (!item) return;
+        
+        // A due date means "back by the end of that day"
+        const dueValue = document.getElementById('lendDue').value;
+        const dueAt = dueValue ? new Date(`${dueValue}T23:59:59`) : null;
+        
+        let loan;
+        try {
+            loan = item.lend(document.getElementById('lendBorrower').value, dueAt, this.currentLocation);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        this.closeLendModal();
+        this.saveItemsToStorage();
+        this.renderPeopleOptions();
+        this.loadTrackedItems();
+        if (loan.dueAt) {
+            this.requestNotificationPermission();
+        }
+        this.logActivity(`Lent ${item.name} to ${loan.borrower}` +
+            (loan.dueAt ? ` until ${loan.dueAt.toLocaleDateString()}` : ''), 'loan', item);
+    }
+
+    // Back with the owner: close the loan and record where it was handed over
+    returnItem(itemId) {
+        const item = this.items.get(itemId);
+        if (!item || !item.loan) return;
+        if (!confirm(`Mark ${item.name} as returned by ${item.loan.borrower}?`)) return;
+        
+        const loan = item.returnLoan(this.currentLocation);
+        if (this.currentLocation) {
+            this.recordSighting(item, 'handoff');
+        } else {
+            this.saveItemsToStorage();
+        }
+        
+        this.loadTrackedItems();
+        const owner = item.owner ? ` to ${item.owner}` : '';
+        const place = loan.returnedTo ?
+            ` at ${loan.returnedTo.lat.toFixed(4)}, ${loan.returnedTo.lng.toFixed(4)}` : '';
+        this.logActivity(`${loan.borrower} returned ${item.name}${owner}${place}`, 'loan', item);
+    }
+
+    // Check overdue loans now and then every LOAN_CHECK_INTERVAL
+    startLoanReminders() {
+        this.checkOverdueLoans();
+        if (this.cancelLoanChecks) this.cancelLoanChecks();
+        this.cancelLoanChecks = this.monitor.every(LOAN_CHECK_INTERVAL, () => this.checkOverdueLoans());
+    }
+
+    // Remind about overdue loans through the activity log and notifications, once a day each.
+    // When each loan was last reminded stays on this device so reminders never sync.
+    checkOverdueLoans(now = new Date()) {
+        const previous = this.loadLoanReminders();
+        const reminders = {};
+        const overdue = [];
+        this.items.forEach(item => {
+            if (!item.isOverdue(now)) return;
+            const lentAt = item.loan.lentAt.getTime();
+            const last = previous[item.id];
+            // Lending the item again starts a new loan with its own reminders
+            if (last && last.lentAt === lentAt && now - last.remindedAt < LOAN_REMINDER_INTERVAL) {
+                reminders[item.id] = last;
             } else {
-                btn.style.color = '#ef4444';
+                reminders[item.id] = { lentAt, remindedAt: now.getTime() };
+                overdue.push(item);
+            }
+        });
+        localStorage.setItem(LOAN_REMINDERS_KEY, JSON.stringify(reminders));
+        if (overdue.length === 0) return;
+        
+        overdue.forEach(item => {
+            const message = `${item.name} is overdue from ${item.loan.borrower} ` +
+                `(due ${item.loan.dueAt.toLocaleDateString()})`;
+            
+            if ('Notification' in window && Notification.permission === 'granted') {
+                new Notification('TraceIt', {
+                    body: message,
+                    tag: `loan-${item.id}`
+                });
             }
+            this.logActivity(message, 'loan', item);
+        });
+        
+        if (this.isPageActive('trackedItems')) {
+            this.loadTrackedItems();
         }
     }
 
-    // Save new item
-    saveItem() {
-        const name = document.getElementById('itemName').value;
-        const category = document.getElementById('itemCategory').value;
-        const attachMethod = document.getElementById('attachMethod').value;
-        
-        if (!name.trim()) {
-            alert('Please enter an item name');
-            return;
+    // Item id -> { lentAt, remindedAt } (ms) for loans already reminded on this device
+    loadLoanReminders() {
+        try {
+            return JSON.parse(localStorage.getItem(LOAN_REMINDERS_KEY)) || {};
+        } catch (error) {
+            console.error('Error loading loan reminders:', error);
+            return {};
         }
+    }
+
+    // Suggest known owners and borrowers in the owner and lend fields
+    renderPeopleOptions() {
+        const list = document.getElementById('peopleList');
+        if (!list) return;
         
-        if (!this.currentLocation) {
-            alert('Please wait for location to be acquired');
+        const people = new Set([localStorage.getItem(OWNER_STORAGE_KEY) || '']);
+        this.items.forEach(item => {
+            people.add(item.owner);
+            if (item.loan) people.add(item.loan.borrower);
+            item.loanHistory.forEach(loan => people.add(loan.borrower));
+        });
+        
+        list.innerHTML = '';
+        Array.from(people).filter(Boolean).sort().forEach(person => {
+            const option = document.createElement('option');
+            option.value = person;
+            list.appendChild(option);
+        });
+    }
+
+    openCategoryModal() {
+        document.getElementById('newCategoryName').value = '';
+        document.getElementById('newCategoryIcon').value = 'toolbox';
+        document.getElementById('newCategoryColor').value = '#6366f1';
+        document.getElementById('newCategoryAttach').value = 'bluetooth';
+        document.getElementById('newCategoryLeash').value = DEFAULT_LEASH.maxDistance;
+        this.updateCategoryIconPreview();
+        document.getElementById('categoryModal').classList.add('active');
+    }
+
+    closeCategoryModal() {
+        document.getElementById('categoryModal').classList.remove('active');
+    }
+
+    updateCategoryIconPreview() {
+        const preview = document.getElementById('newCategoryPreview');
+        const icon = document.getElementById('newCategoryIcon').value.trim();
+        preview.className = `fas fa-${/^[a-z0-9-]+$/.test(icon) ? icon : 'cube'}`;
+        preview.style.color = document.getElementById('newCategoryColor').value;
+    }
+
+    addCategory() {
+        let category;
+        try {
+            category = this.categories.add({
+                name: document.getElementById('newCategoryName').value,
+                icon: document.getElementById('newCategoryIcon').value.trim(),
+                color: document.getElementById('newCategoryColor').value,
+                attachMethod: document.getElementById('newCategoryAttach').value,
+                leashDistance: Number(document.getElementById('newCategoryLeash').value)
+            });
+        } catch (error) {
+            alert(error.message);
             return;
         }
         
-        // Create item object
-        const item = {
-            id: Date.now().toString(),
-            name: name.trim(),
-            category: category,
-            location: {...this.currentLocation},
-            attachMethod: attachMethod,
-            photo: this.getPhotoData(),
-            createdAt: new Date(),
-            lastSeen: new Date()
+        this.closeCategoryModal();
+        this.renderCategoryOptions();
+        this.renderCategories();
+        this.logActivity(`Added category: ${category.name}`, 'save');
+    }
+
+    // Remove a custom category; its items move to Other
+    removeCategory(categoryId) {
+        const category = this.categories.get(categoryId);
+        const items = Array.from(this.items.values()).filter(item => item.category === categoryId);
+        const question = items.length ?
+            `Remove ${category.name}? ${items.length} item${items.length === 1 ? '' : 's'} will move to Other.` :
+            `Remove ${category.name}?`;
+        if (!confirm(question)) return;
+        
+        this.categories.remove(categoryId);
+        if (items.length) {
+            items.forEach(item => item.update({ category: FALLBACK_CATEGORY }));
+            this.saveItemsToStorage();
+        }
+        if (this.itemView.category === categoryId) {
+            this.itemView.category = '';
+            this.writeItemViewToURL();
+        }
+        this.renderCategoryOptions();
+        this.renderCategories();
+        this.loadTrackedItems();
+        this.logActivity(`Removed category: ${category.name}`, 'delete');
+    }
+
+    // Find item (go to live finder)
+    findItem(itemId) {
+        const item = this.items.get(itemId);
+        if (item) {
+            this.currentItem = item;
+            this.showPage('liveFinder');
+            
+            // Select item in dropdown
+            const select = document.getElementById('finderItemSelect');
+            if (select) {
+                select.value = itemId;
+                this.selectFinderItem();
+            }
+        }
+    }
+
+    // Update item location
+    updateItemLocation(itemId) {
+        const item = this.items.get(itemId);
+        if (item && this.currentLocation) {
+            this.recordSighting(item, 'manual');
+            this.loadTrackedItems(); // Refresh display
+            this.logActivity(`Updated location for ${item.name}`, 'update', item);
+        }
+    }
+
+    // Build a sighting at a location (the current one by default)
+    createSighting(source, location = this.currentLocation) {
+        return {
+            lat: location.lat,
+            lng: location.lng,
+            accuracy: location.accuracy,
+            source: source,
+            timestamp: new Date()
         };
+    }
+
+    // Append a sighting (gps, bluetooth, camera or manual) and move the item there
+    recordSighting(item, source, location = this.currentLocation) {
+        const sighting = this.createSighting(source, location);
         
-        // Save to storage
-        this.items.set(item.id, item);
+        item.sightings = item.sightings || [];
+        item.sightings.push(sighting);
+        if (item.sightings.length > MAX_SIGHTINGS_PER_ITEM) {
+            item.sightings.splice(0, item.sightings.length - MAX_SIGHTINGS_PER_ITEM);
+        }
+        
+        item.location = {
+            lat: sighting.lat,
+            lng: sighting.lng,
+            accuracy: sighting.accuracy,
+            timestamp: sighting.timestamp
+        };
+        item.lastSeen = sighting.timestamp;
         this.saveItemsToStorage();
+        return sighting;
+    }
+
+    // Delete item
+    deleteItem(itemId) {
+        if (confirm('Are you sure you want to delete this item?')) {
+            const item = this.items.get(itemId);
+            this.forgetItem(itemId);
+            this.syncClient.trackDeletion(itemId);
+            this.store.deleteItem(itemId).catch(error => this.reportStorageError(error));
+            this.saveItemsToStorage();
+            this.loadTrackedItems();
+            this.updateStats();
+            
+            if (item) {
+                this.logActivity(`Deleted item: ${item.name}`, 'delete', item);
+            }
+        }
+    }
+
+    // Export all items in the format chosen on the tracked items page
+    async exportItems() {
+        const select = document.getElementById('exportFormat');
+        const format = select ? select.value : 'json';
+        const items = Array.from(this.items.values());
+        const stamp = new Date().toISOString().slice(0, 10);
         
-        // Initialize simulated Bluetooth device
-        this.simulatedDevices.set(item.id, {
-            rssi: -50,
-            lastUpdate: new Date(),
-            distance: 0
-        });
+        if (items.length === 0) {
+            alert('There are no items to export');
+            return;
+        }
         
-        // Log activity
-        this.logActivity(`Saved item: ${item.name}`, 'save');
+        try {
+            switch (format) {
+                case 'csv':
+                    downloadFile(`traceit-items-${stamp}.csv`, itemsToCSV(items), 'text/csv');
+                    break;
+                case 'gpx':
+                    downloadFile(`traceit-items-${stamp}.gpx`, itemsToGPX(items), 'application/gpx+xml');
+                    break;
+                case 'kml':
+                    downloadFile(`traceit-items-${stamp}.kml`, itemsToKML(items), 'application/vnd.google-earth.kml+xml');
+                    break;
+                default: {
+                    let photos = null;
+                    if (format === 'json-photos') {
+                        photos = new Map();
+                        for (const item of items) {
+                            photos.set(item.id, await Promise.all(item.photos.map(photoToDataURL)));
+                        }
+                    }
+                    const bundle = buildExportBundle(items, photos);
+                    downloadFile(`traceit-items-${stamp}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+                }
+            }
+            this.logActivity(`Exported ${items.length} items (${format.toUpperCase()})`, 'save');
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert('Export failed: ' + error.message);
+        }
+    }
+
+    // Pick an exported JSON bundle to import
+    importItems() {
+        document.getElementById('importUpload').click();
+    }
+
+    handleImportUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
         
-        // Show success and return to dashboard
-        alert(`${item.name} saved successfully!`);
-        this.showPage('dashboard');
-        this.updateStats();
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.reviewImport(parseImportBundle(e.target.result));
+            } catch (error) {
+                alert('Cannot import file: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+        
+        // Allow picking the same file again
+        event.target.value = '';
     }
 
-    // Get photo data from preview
-    getPhotoData() {
-        const preview = document.getElementById('photoPreview');
-        const img = preview.querySelector('img');
+    // Show what an import would change and let the user merge or replace
+    reviewImport(items) {
+        const duplicates = items.filter(item => this.items.has(item.id));
+        this.pendingImport = items;
         
-        if (img && img.src.startsWith('data:')) {
-            return img.src;
+        const summary = document.getElementById('importSummary');
+        if (summary) {
+            summary.textContent = `${items.length} item${items.length === 1 ? '' : 's'} in file, ` +
+                `${duplicates.length} already saved here. Merge keeps the most recently seen copy of ` +
+                `duplicates; Replace removes all ${this.items.size} current items first.`;
         }
-        
-        return null;
+        document.getElementById('importModal').classList.add('active');
     }
 
-    // Load tracked items
-    loadTrackedItems() {
-        const grid = document.getElementById('itemsGrid');
-        if (!grid) return;
+    closeImportModal() {
+        this.pendingImport = null;
+        document.getElementById('importModal').classList.remove('active');
+    }
+
+    // Apply the pending import ('merge' or 'replace')
+    async applyImport(mode) {
+        const items = this.pendingImport;
+        if (!items) return;
+        this.closeImportModal();
         
-        grid.innerHTML = '';
+        if (mode === 'replace') {
+            const existingIds = Array.from(this.items.keys());
+            existingIds.forEach(itemId => this.forgetItem(itemId));
+            
+            // Imported items overwrite their stored copies when saved below
+            const removedIds = existingIds.filter(itemId => !items.some(item => item.id === itemId));
+            removedIds.forEach(itemId => this.syncClient.trackDeletion(itemId));
+            await Promise.all(removedIds.map(itemId =>
+                this.store.deleteItem(itemId).catch(error => this.reportStorageError(error))));
+        }
         
-        if (this.items.size === 0) {
-            grid.innerHTML = `
-                <div class="no-items">
-                    <i class="fas fa-box-open"></i>
-                    <h3>No items saved yet</h3>
-                    <p>Save your first item to start tracking</p>
-                    <button class="btn primary" onclick="showPage('saveItem')">Save New Item</button>
-                </div>
-            `;
+        let added = 0;
+        let updated = 0;
+        items.forEach(item => {
+            const existing = this.items.get(item.id);
+            if (!existing) {
+                this.items.set(item.id, item);
+                added++;
+                return;
+            }
+            if (item.lastSeen > existing.lastSeen) {
+                this.items.set(item.id, this.mergeItems(existing, item));
+                updated++;
+            } else {
+                this.items.set(item.id, this.mergeItems(item, existing));
+            }
+        });
+        
+        await this.saveItemsToStorage();
+        this.items.forEach(item => this.watchBluetoothTag(item));
+        this.loadTrackedItems();
+        this.updateStats();
+        this.logActivity(`Imported items: ${added} added, ${updated} updated (${mode})`, 'save');
+    }
+
+    // Newer copy wins field by field; sighting histories are combined
+    mergeItems(older, newer) {
+        return new Item({
+            ...older,
+            ...newer,
+            photos: newer.photos.length ? newer.photos : older.photos,
+            sightings: mergeSightings(older.sightings || [], newer.sightings || [])
+        });
+    }
+
+    // Drop in-memory state for an item (storage is handled by the caller)
+    forgetItem(itemId) {
+        this.items.delete(itemId);
+        this.bluetoothTags.removeTag(itemId);
+        this.simulatedTags.removeTag(itemId);
+        this.tagReadings.delete(itemId);
+        this.proximityEstimators.delete(itemId);
+        this.leashStates.delete(itemId);
+    }
+
+    // Hand the current location, items and tag signals to the background monitor,
+    // which checks every leash rule and answers through handleProximityState
+    evaluateLeashes() {
+        if (!this.currentLocation || this.replay) return;
+        this.monitor.watch(this.getMonitorSnapshot());
+    }
+
+    // Structured-cloneable view of everything the leash rules need
+    getMonitorSnapshot() {
+        return {
+            location: { lat: this.currentLocation.lat, lng: this.currentLocation.lng },
+            safeZones: this.safeZones.map(zone => ({ ...zone })),
+            items: Array.from(this.items.values()).map(item => ({
+                id: item.id,
+                name: item.name,
+                location: item.location ? { lat: item.location.lat, lng: item.location.lng } : null,
+                leash: item.leash ? { ...item.leash } : null,
+                hasTag: !!item.tag,
+                lastHeard: this.getLastHeard(item.id)
+            }))
+        };
+    }
+
+    // Time of the last real tag reading for an item, or null if never heard
+    getLastHeard(itemId) {
+        const readings = Object.values(this.tagReadings.get(itemId) || {})
+            .filter(reading => reading.source !== 'simulated');
+        if (!readings.length) return null;
+        return Math.max(...readings.map(reading => new Date(reading.timestamp).getTime()));
+    }
+
+    // Leash state posted by the monitor: alert once per breach
+    handleProximityState(state) {
+        if (this.replay) return;
+        
+        // Alerts are suppressed inside safe zones
+        if (state.safeZoneId) {
+            this.leashStates.clear();
             return;
         }
         
-        // Create item cards
-        this.items.forEach((item, id) => {
-            const card = this.createItemCard(item);
-            grid.appendChild(card);
+        state.items.forEach(({ id, breach }) => {
+            const item = this.items.get(id);
+            if (!item) return;  // Deleted since the snapshot was taken
+            
+            // Returning within the leash re-arms it
+            const leashState = this.leashStates.get(id) || { breached: false };
+            if (breach && !leashState.breached) {
+                this.fireLeashAlert(item, breach);
+            }
+            leashState.breached = !!breach;
+            this.leashStates.set(id, leashState);
         });
     }
 
-    // Create item card HTML
-    createItemCard(item) {
-        const card = document.createElement('div');
-        card.className = 'item-card';
+    // Show where the monitor runs and whether it is throttled
+    updateMonitorStatus() {
+        // The monitor may report before the DOM is cached
+        const status = this.elements && this.elements.monitorStatus;
+        if (status) {
+            status.textContent = this.monitor.label;
+        }
+    }
+
+    // Notify, beep and vibrate for a left-behind item
+    fireLeashAlert(item, message) {
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification('TraceIt', {
+                body: message,
+                tag: `leash-${item.id}`
+            });
+        }
         
-        const timeAgo = this.getTimeAgo(item.lastSeen);
-        const categoryNames = {
-            keys: 'Keys',
-            wallet: 'Wallet',
-            phone: 'Phone',
-            bag: 'Bag',
-            laptop: 'Laptop',
-            other: 'Other'
-        };
+        if (this.soundEnabled) {
+            this.playProximityBeep(0);
+        }
+        this.vibrateDevice();
         
-        card.innerHTML = `
-            <div class="item-image">
-                ${item.photo ? 
-                    `<img src="${item.photo}" alt="${item.name}">` :
-                    `<i class="fas fa-${this.getCategoryIcon(item.category)}"></i>`
+        this.showLeashAlert(item, message);
+        this.logActivity(message, 'alert', item);
+    }
+
+    // Offline support: register the service worker and watch for new versions
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                // A version installed on an earlier visit may already be waiting
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdateBanner(registration.waiting);
                 }
-            </div>
-            <div class="item-info">
-                <h3>${item.name}</h3>
-                <span class="category-badge">${categoryNames[item.category] || 'Other'}</span>
-                <p class="item-location">
-                    <i class="fas fa-map-marker-alt"></i> 
-                    ${item.location.lat.toFixed(4)}, ${item.location.lng.toFixed(4)}
-                </p>
-                <p class="item-time">Last seen: ${timeAgo}</p>
-                <div class="item-actions">
-                    <button class="item-btn" onclick="app.findItem('${item.id}')">
-                        <i class="fas fa-search"></i> Find
-                    </button>
-                    <button class="item-btn" onclick="app.updateItemLocation('${item.id}')">
-                        <i class="fas fa-sync-alt"></i> Update
-                    </button>
-                    <button class="item-btn danger" onclick="app.deleteItem('${item.id}')">
-                        <i class="fas fa-trash"></i> Delete
-                    </button>
-                </div>
-            </div>
-        `;
+                
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        // Without a controller this is the first install, not an update
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.showUpdateBanner(worker);
+                        }
+                    });
+                });
+            })
+            .catch(error => console.warn('Service worker registration failed:', error));
         
-        return card;
+        // The worker serves the shell from its cache and reports when the server
+        // has newer files; those are cached already, so a reload picks them up
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'SHELL_UPDATED') {
+                this.showUpdateBanner(this.waitingWorker || null);
+            }
+        });
+        if (navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'CHECK_SHELL' });
+        }
+        
+        // Reload once the new worker has taken over
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
     }
 
-    // Get category icon
-    getCategoryIcon(category) {
-        const icons = {
-            keys: 'key',
-            wallet: 'wallet',
-            phone: 'mobile-alt',
-            bag: 'briefcase',
-            laptop: 'laptop',
-            other: 'cube'
-        };
-        return icons[category] || 'cube';
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        const banner = document.getElementById('updateBanner');
+        if (banner) banner.classList.add('active');
+    }
+
+    // Activate the waiting version (controllerchange then reloads the page),
+    // or just reload for new shell files under the same worker
+    applyUpdate() {
+        if (this.waitingWorker) {
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload();
+        }
+        this.dismissUpdateBanner();
+    }
+
+    dismissUpdateBanner() {
+        const banner = document.getElementById('updateBanner');
+        if (banner) banner.classList.remove('active');
+    }
+
+    // In-app alert banner with snooze
+    showLeashAlert(item, message) {
+        const banner = document.getElementById('leashAlert');
+        if (!banner) return;
+        
+        this.alertItemId = item.id;
+        banner.querySelector('span').textContent = message;
+        banner.classList.add('active');
+    }
+
+    dismissLeashAlert() {
+        const banner = document.getElementById('leashAlert');
+        if (banner) banner.classList.remove('active');
+        this.alertItemId = null;
+    }
+
+    // Snooze the item from the alert banner
+    snoozeLeashAlert() {
+        if (this.alertItemId) {
+            this.snoozeLeash(this.alertItemId);
+        }
+        this.dismissLeashAlert();
+    }
+
+    snoozeLeash(itemId, duration = LEASH_SNOOZE_DURATION) {
+        const item = this.items.get(itemId);
+        if (!item || !item.leash) return;
+        
+        item.leash.snoozedUntil = Date.now() + duration;
+        this.saveItemsToStorage();
+        this.logActivity(`Snoozed alerts for ${item.name}`, 'alert', item);
+    }
+
+    // Turn an item's leash on or off from its card
+    toggleLeash(itemId) {
+        const item = this.items.get(itemId);
+        if (!item) return;
+        
+        item.leash = {...DEFAULT_LEASH, ...item.leash};
+        item.leash.enabled = !item.leash.enabled;
+        item.leash.snoozedUntil = null;
+        this.leashStates.delete(itemId);
+        this.saveItemsToStorage();
+        this.loadTrackedItems();
+        
+        if (item.leash.enabled) {
+            this.requestNotificationPermission();
+        }
+        this.logActivity(`${item.leash.enabled ? 'Enabled' : 'Disabled'} leash for ${item.name}`, 'alert', item);
     }
 
-    // Find item (go to live finder)
-    findItem(itemId) {
-        const item = this.items.get(itemId);
-        if (item) {
-            this.currentItem = item;
-            this.showPage('liveFinder');
-            
-            // Select item in dropdown
-            const select = document.getElementById('finderItemSelect');
-            if (select) {
-                select.value = itemId;
-                this.selectFinderItem();
-            }
+    requestNotificationPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
         }
     }
 
-    // Update item location
-    updateItemLocation(itemId) {
-        const item = this.items.get(itemId);
-        if (item && this.currentLocation) {
-            item.location = {...this.currentLocation};
-            item.lastSeen = new Date();
-            this.saveItemsToStorage();
-            this.loadTrackedItems(); // Refresh display
-            this.logActivity(`Updated location for ${item.name}`, 'update');
+    // Safe zone containing the current location, if any
+    getActiveSafeZone() {
+        if (!this.currentLocation) return null;
+        
+        return this.safeZones.find(zone =>
+            this.calculateDistance(zone, this.currentLocation) <= zone.radius) || null;
+    }
+
+    // Save the current location as a safe zone (home, office, ...)
+    addSafeZone() {
+        if (!this.currentLocation) {
+            alert('Please wait for location to be acquired');
+            return;
         }
+        
+        const name = prompt('Name this safe zone (e.g. Home, Office)');
+        if (!name || !name.trim()) return;
+        
+        this.safeZones.push({
+            id: Date.now().toString(),
+            name: name.trim(),
+            lat: this.currentLocation.lat,
+            lng: this.currentLocation.lng,
+            radius: DEFAULT_SAFE_ZONE_RADIUS
+        });
+        this.saveSafeZones();
+        this.renderSafeZones();
+        this.logActivity(`Added safe zone: ${name.trim()}`, 'alert');
     }
 
-    // Delete item
-    deleteItem(itemId) {
-        if (confirm('Are you sure you want to delete this item?')) {
-            const item = this.items.get(itemId);
-            this.items.delete(itemId);
-            this.simulatedDevices.delete(itemId);
-            this.saveItemsToStorage();
-            this.loadTrackedItems();
-            this.updateStats();
-            
-            if (item) {
-                this.logActivity(`Deleted item: ${item.name}`, 'delete');
-            }
+    removeSafeZone(zoneId) {
+        this.safeZones = this.safeZones.filter(zone => zone.id !== zoneId);
+        this.saveSafeZones();
+        this.renderSafeZones();
+    }
+
+    // Render safe zones list on the dashboard
+    renderSafeZones() {
+        const list = document.getElementById('safeZoneList');
+        if (!list) return;
+        
+        if (this.safeZones.length === 0) {
+            list.innerHTML = '<p class="empty-note">No safe zones - alerts fire everywhere</p>';
+            return;
         }
+        
+        list.innerHTML = html`${this.safeZones.map(zone => html`
+            <div class="activity-item">
+                <i class="fas fa-house-circle-check"></i>
+                <div class="activity-info">
+                    <h4>${zone.name}</h4>
+                    <p>${zone.lat.toFixed(4)}, ${zone.lng.toFixed(4)} · ${zone.radius} m</p>
+                </div>
+                <button class="item-btn danger" data-action="removeSafeZone" data-id="${zone.id}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `)}`;
     }
 
     // Update dashboard stats
@@ -866,74 +6939,270 @@ class TraceItApp {
     }
 
     // Log activity
-    logActivity(message, type = 'info') {
+    logActivity(message, type = 'info', item = null) {
+        const entry = {
+            type: type,
+            message: message,
+            itemId: item ? item.id : null,
+            itemName: item ? item.name : null,
+            timestamp: new Date()
+        };
+        
+        if ((ACTIVITY_TYPES[type] || ACTIVITY_TYPES.info).persist !== false) {
+            this.activity.push(entry);
+            if (this.activity.length > ACTIVITY_LOG_LIMIT) {
+                this.activity.splice(0, this.activity.length - ACTIVITY_LOG_LIMIT);
+            }
+            // Not reportStorageError: that logs activity itself
+            this.store.addActivity(entry).catch(error => console.error('Error saving activity:', error));
+            
+            if (this.isPageActive('activity')) {
+                this.renderActivityPage();
+            }
+        }
+        
+        this.recentActivity.unshift(entry);
+        this.recentActivity.length = Math.min(this.recentActivity.length, RECENT_ACTIVITY_COUNT);
+        this.renderRecentActivity();
+    }
+
+    // Load the persisted activity log
+    async loadActivity() {
+        try {
+            this.activity = (await this.store.loadActivity())
+                .map(entry => ({...entry, timestamp: new Date(entry.timestamp)}));
+            this.recentActivity = this.activity.slice(-RECENT_ACTIVITY_COUNT).reverse();
+        } catch (error) {
+            console.error('Error loading activity:', error);
+        }
+    }
+
+    createActivityHTML(entry) {
+        const type = ACTIVITY_TYPES[entry.type] || ACTIVITY_TYPES.info;
+        const sameDay = entry.timestamp.toDateString() === new Date().toDateString();
+        const time = sameDay ? entry.timestamp.toLocaleTimeString() : entry.timestamp.toLocaleString();
+        
+        return html`
+            <div class="activity-item">
+                <i class="fas fa-${type.icon}"></i>
+                <div class="activity-info">
+                    <h4>${entry.message}</h4>
+                    <p>${time}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    // Latest entries on the dashboard
+    renderRecentActivity() {
         const activityLog = this.elements.activityLog;
         if (!activityLog) return;
         
-        const activity = document.createElement('div');
-        activity.className = 'activity-item';
-        
-        const icons = {
-            system: 'cog',
-            gps: 'location-dot',
-            save: 'save',
-            update: 'sync-alt',
-            delete: 'trash',
-            tracking: 'satellite',
-            info: 'info-circle'
+        activityLog.innerHTML = html`${this.recentActivity.map(entry => this.createActivityHTML(entry))}`;
+    }
+
+    // Read the activity page filters; page resets unless only paging
+    updateActivityView(page = 0) {
+        this.activityView = {
+            type: document.getElementById('activityTypeFilter').value,
+            itemId: document.getElementById('activityItemFilter').value,
+            from: document.getElementById('activityFrom').value,
+            to: document.getElementById('activityTo').value,
+            page: page
         };
+        this.renderActivityPage();
+    }
+
+    changeActivityPage(delta) {
+        this.updateActivityView(this.activityView.page + delta);
+    }
+
+    // Entries matching the activity page filters, newest first
+    getFilteredActivity() {
+        const { type, itemId, from, to } = this.activityView;
+        // Date inputs are local calendar days
+        const start = from ? new Date(`${from}T00:00:00`) : null;
+        const end = to ? new Date(`${to}T23:59:59.999`) : null;
+        
+        return this.activity.filter(entry =>
+            (!type || entry.type === type) &&
+            (!itemId || entry.itemId === itemId) &&
+            (!start || entry.timestamp >= start) &&
+            (!end || entry.timestamp <= end)
+        ).reverse();
+    }
+
+    initActivityPage() {
+        // Items seen in the log, including deleted ones
+        const items = new Map();
+        this.activity.forEach(entry => {
+            if (entry.itemId) items.set(entry.itemId, entry.itemName);
+        });
+        this.items.forEach(item => items.set(item.id, item.name));
         
-        const icon = icons[type] || 'info-circle';
+        const itemFilter = document.getElementById('activityItemFilter');
+        itemFilter.innerHTML = html`<option value="">All items</option>${Array.from(items, ([id, name]) =>
+            html`<option value="${id}">${name}${this.items.has(id) ? '' : ' (deleted)'}</option>`)}`;
+        itemFilter.value = items.has(this.activityView.itemId) ? this.activityView.itemId : '';
         
-        activity.innerHTML = `
-            <i class="fas fa-${icon}"></i>
-            <div class="activity-info">
-                <h4>${message}</h4>
-                <p>${new Date().toLocaleTimeString()}</p>
-            </div>
-        `;
+        const typeFilter = document.getElementById('activityTypeFilter');
+        typeFilter.innerHTML = html`<option value="">All types</option>${Object.entries(ACTIVITY_TYPES)
+            .filter(([, type]) => type.persist !== false)
+            .map(([id, type]) => html`<option value="${id}">${type.name}</option>`)}`;
+        typeFilter.value = this.activityView.type;
+        
+        this.updateActivityView(this.activityView.page);
+    }
+
+    renderActivityPage() {
+        const list = document.getElementById('activityList');
+        if (!list) return;
+        
+        const entries = this.getFilteredActivity();
+        const pages = Math.max(1, Math.ceil(entries.length / ACTIVITY_PAGE_SIZE));
+        const page = Math.min(this.activityView.page, pages - 1);
+        this.activityView.page = page;
+        
+        const shown = entries.slice(page * ACTIVITY_PAGE_SIZE, (page + 1) * ACTIVITY_PAGE_SIZE);
+        list.innerHTML = shown.length ?
+            html`${shown.map(entry => this.createActivityHTML(entry))}` :
+            '<p class="empty-note">No activity matches these filters</p>';
         
-        // Add to top
-        activityLog.insertBefore(activity, activityLog.firstChild);
+        document.getElementById('activityPageInfo').textContent =
+            `Page ${page + 1} of ${pages} · ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+        document.getElementById('activityPrev').disabled = page === 0;
+        document.getElementById('activityNext').disabled = page >= pages - 1;
+    }
+
+    // Download the filtered log as JSON or CSV
+    exportActivity() {
+        const format = document.getElementById('activityExportFormat').value;
+        const entries = this.getFilteredActivity().reverse();
+        const stamp = new Date().toISOString().slice(0, 10);
         
-        // Keep only last 10 activities
-        while (activityLog.children.length > 10) {
-            activityLog.removeChild(activityLog.lastChild);
+        if (format === 'csv') {
+            const rows = entries.map(entry => [
+                toISO(entry.timestamp), entry.type, entry.message, entry.itemId || '', entry.itemName || ''
+            ].map(escapeCSV).join(','));
+            downloadFile(`traceit-activity-${stamp}.csv`,
+                ['timestamp,type,message,itemId,itemName', ...rows].join('\r\n') + '\r\n', 'text/csv');
+        } else {
+            const log = entries.map(({ id, ...entry }) => entry);
+            downloadFile(`traceit-activity-${stamp}.json`, JSON.stringify(log, null, 2), 'application/json');
         }
     }
 
     // Load items from storage
-    loadItems() {
+    async loadItems() {
         try {
-            const saved = localStorage.getItem('traceit_items');
-            if (saved) {
-                const itemsArray = JSON.parse(saved);
-                itemsArray.forEach(item => {
-                    // Convert date strings back to Date objects
-                    item.createdAt = new Date(item.createdAt);
-                    item.lastSeen = new Date(item.lastSeen);
-                    this.items.set(item.id, item);
-                });
-            }
+            const records = await this.store.loadItems();
+            records.forEach(record => {
+                const item = new Item(record);
+                
+                // Items saved before history existed start with their last location
+                item.sightings = (item.sightings.length ? item.sightings : [{
+                    ...item.location,
+                    source: 'manual',
+                    timestamp: item.lastSeen
+                }]).map(sighting => ({...sighting, timestamp: new Date(sighting.timestamp)}));
+                
+                this.items.set(item.id, item);
+            });
         } catch (error) {
             console.error('Error loading items:', error);
+            this.reportStorageError(error);
         }
     }
 
     // Save items to storage
     saveItemsToStorage() {
-        const itemsArray = Array.from(this.items.values());
-        localStorage.setItem('traceit_items', JSON.stringify(itemsArray));
+        // Leash settings may have changed
+        this.evaluateLeashes();
+        this.syncClient.trackItems(Array.from(this.items.values()));
+        return this.store.saveItems(Array.from(this.items.values()))
+            .then(() => this.updateStorageStatus())
+            .catch(error => this.reportStorageError(error));
+    }
+
+    // Show storage usage on the dashboard
+    async updateStorageStatus() {
+        const status = this.elements.storageStatus;
+        if (!status) return;
+        
+        let text = `Storage: ${this.store.label}`;
+        let level = '';
+        try {
+            const estimate = await this.store.estimate();
+            if (estimate && estimate.quota) {
+                text += ` · ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used`;
+                if (estimate.usage / estimate.quota > 0.9) level = 'warning';
+            }
+        } catch (error) {
+            console.warn('Storage estimate unavailable:', error.message);
+        }
+        
+        status.className = `storage-status ${level}`.trim();
+        status.querySelector('span').textContent = text;
+    }
+
+    // Surface storage failures instead of losing data silently
+    reportStorageError(error) {
+        console.error('Storage error:', error);
+        
+        const message = error && error.name === 'QuotaExceededError' ?
+            'Storage full - delete photos or items to keep saving' :
+            `Saving failed: ${error && error.message ? error.message : error}`;
+        
+        const status = this.elements.storageStatus;
+        if (status) {
+            status.className = 'storage-status error';
+            status.querySelector('span').textContent = message;
+        }
+        this.logActivity(message, 'alert');
+    }
+
+    // Load safe zones from storage
+    loadSafeZones() {
+        try {
+            const saved = localStorage.getItem('traceit_safe_zones');
+            if (saved) {
+                this.safeZones = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.error('Error loading safe zones:', error);
+        }
+    }
+
+    saveSafeZones() {
+        localStorage.setItem('traceit_safe_zones', JSON.stringify(this.safeZones));
+        this.evaluateLeashes();
+    }
+
+    // Load map settings from storage
+    loadMapSettings() {
+        try {
+            const saved = localStorage.getItem('traceit_map_settings');
+            if (saved) {
+                this.mapSettings = {...this.mapSettings, ...JSON.parse(saved)};
+            }
+        } catch (error) {
+            console.error('Error loading map settings:', error);
+        }
     }
 
     // Camera functionality
     startCameraScan() {
         document.getElementById('cameraModal').classList.add('active');
+        this.prepareVisualReferences();
     }
 
     closeCameraModal() {
         document.getElementById('cameraModal').classList.remove('active');
         this.stopCamera();
+        
+        const toggleBtn = document.getElementById('cameraToggle');
+        toggleBtn.innerHTML = '<i class="fas fa-play"></i> Start Camera';
+        toggleBtn.classList.remove('danger');
     }
 
     async toggleCamera() {
@@ -945,12 +7214,11 @@ class TraceItApp {
                     video: { facingMode: 'environment' }
                 });
                 
-                this.cameraFeed.srcObject = stream;
+                this.elements.cameraFeed.srcObject = stream;
                 this.cameraActive = true;
                 toggleBtn.innerHTML = '<i class="fas fa-stop"></i> Stop Camera';
                 toggleBtn.classList.add('danger');
                 
-                // Start object detection simulation
                 this.startObjectDetection();
                 
             } catch (error) {
@@ -965,87 +7233,172 @@ class TraceItApp {
     }
 
     stopCamera() {
-        if (this.cameraFeed.srcObject) {
-            this.cameraFeed.srcObject.getTracks().forEach(track => track.stop());
-            this.cameraFeed.srcObject = null;
+        const feed = this.elements.cameraFeed;
+        if (feed && feed.srcObject) {
+            feed.srcObject.getTracks().forEach(track => track.stop());
+            feed.srcObject = null;
         }
         this.cameraActive = false;
+        
+        if (this.detectionTimer) {
+            clearInterval(this.detectionTimer);
+            this.detectionTimer = null;
+        }
+    }
+
+    // Compute reference features from every item photo
+    async prepareVisualReferences() {
+        if (!this.visualMatcher) {
+            this.visualMatcher = new VisualMatcher();
+        }
+        
+        const photos = [];
+        this.items.forEach(item => item.photos.forEach(photo => photos.push({ item, photo })));
+        const loaded = await Promise.all(photos.map(({ item, photo }) =>
+            loadImage(photo)
+                .then(image => {
+                    const sample = sampleImage(image);
+                    return sample ? {...sample, itemId: item.id} : null;
+                })
+                .catch(error => {
+                    console.warn(`Cannot use photo of ${item.name}:`, error);
+                    return null;
+                })));
+        
+        const samples = loaded.filter(Boolean);
+        this.visualReferences = samples.length;
+        this.visualMatchesReady = this.visualMatcher.setReferences(samples);
+        await this.visualMatchesReady;
+        
+        if (!this.cameraActive) {
+            this.renderDetectionResults(null);
+        }
     }
 
-    // Simulated object detection
+    // Analyse live frames until the camera stops
     startObjectDetection() {
         if (!this.cameraActive) return;
         
-        // In a real implementation, this would use TensorFlow.js or similar
-        // For simulation, we'll simulate detection
-        setInterval(() => {
-            if (this.cameraActive) {
-                this.simulateObjectDetection();
+        clearInterval(this.detectionTimer);
+        this.detectionTimer = setInterval(() => {
+            if (this.cameraActive && !this.analyzingFrame) {
+                this.analyzeCameraFrame();
             }
-        }, 2000);
+        }, VISION_SCAN_INTERVAL);
     }
 
-    simulateObjectDetection() {
-        const results = document.getElementById('detectionResults');
-        const matchFill = document.getElementById('matchFill');
-        
-        if (!results || !matchFill) return;
+    // Whole frame plus the square under the on-screen scan box
+    sampleCameraFrame() {
+        const video = this.elements.cameraFeed;
+        if (!video || video.readyState < 2 || !video.videoWidth) return null;
         
-        // Simulate detection
-        const randomMatch = Math.random() * 100;
-        matchFill.style.width = `${randomMatch}%`;
+        const side = Math.min(video.videoWidth, video.videoHeight) / 2;
+        const full = sampleImage(video);
+        const center = sampleImage(video, {
+            x: (video.videoWidth - side) / 2,
+            y: (video.videoHeight - side) / 2,
+            width: side,
+            height: side
+        });
+        return full && center ? [full, center] : null;
+    }
+
+    // Match the current frame against item photos; records a sighting on a strong match
+    async analyzeCameraFrame() {
+        const samples = this.sampleCameraFrame();
+        if (!samples || !this.visualMatcher) return null;
         
-        if (randomMatch > 70) {
-            results.innerHTML = `
-                <div class="detection-item">
-                    <i class="fas fa-check-circle" style="color: #10b981"></i>
-                    <strong>Possible match detected!</strong>
-                    <p>High confidence match with saved items</p>
-                </div>
-            `;
-        } else if (randomMatch > 40) {
-            results.innerHTML = `
-                <div class="detection-item">
-                    <i class="fas fa-exclamation-circle" style="color: #f59e0b"></i>
-                    <strong>Partial match detected</strong>
-                    <p>Moderate confidence - continue scanning</p>
-                </div>
-            `;
-        } else {
-            results.innerHTML = `
-                <div class="detection-item">
-                    <i class="fas fa-times-circle" style="color: #ef4444"></i>
-                    <strong>No matches found</strong>
-                    <p>Try moving the camera to different angles</p>
-                </div>
-            `;
+        this.analyzingFrame = true;
+        try {
+            await this.visualMatchesReady;
+            const results = await this.visualMatcher.match(samples);
+            this.renderDetectionResults(results);
+            
+            const best = results[0];
+            if (best && best.confidence >= VISUAL_MATCH_THRESHOLD) {
+                this.recordCameraSighting(best);
+            }
+            return results;
+        } catch (error) {
+            console.error('Visual matching failed:', error);
+            return null;
+        } finally {
+            this.analyzingFrame = false;
         }
     }
 
-    captureScan() {
-        if (!this.cameraActive) return;
+    recordCameraSighting(match) {
+        const item = this.items.get(match.itemId);
+        if (!item || !this.currentLocation) return;
+        
+        const last = (item.sightings || []).filter(sighting => sighting.source === 'camera').pop();
+        if (last && Date.now() - new Date(last.timestamp).getTime() < CAMERA_SIGHTING_INTERVAL) return;
         
-        const canvas = this.cameraCanvas;
-        const video = this.cameraFeed;
+        this.recordSighting(item, 'camera');
+        this.loadTrackedItems();
+        this.logActivity(`Camera spotted ${item.name} (${Math.round(match.confidence * 100)}% match)`, 'update', item);
+    }
+
+    // Per-item confidence list; results null before the first frame
+    renderDetectionResults(results) {
+        const container = document.getElementById('detectionResults');
+        const matchFill = document.getElementById('matchFill');
+        if (!container || !matchFill) return;
         
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
+        container.innerHTML = '';
+        if (!this.visualReferences) {
+            container.innerHTML = '<p>No item photos to compare against. Add a photo when saving an item.</p>';
+            matchFill.style.width = '0%';
+            return;
+        }
+        if (!results) {
+            container.innerHTML = `<p>Comparing against ${this.visualReferences} item photo${this.visualReferences === 1 ? '' : 's'}...</p>`;
+            matchFill.style.width = '0%';
+            return;
+        }
         
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(video, 0, 0);
+        const best = results[0] ? results[0].confidence : 0;
+        matchFill.style.width = `${Math.round(best * 100)}%`;
         
-        // Save capture for future comparison
-        const imageData = canvas.toDataURL('image/jpeg');
+        results.slice(0, 5).forEach(result => {
+            const item = this.items.get(result.itemId);
+            if (!item) return;
+            
+            const level = result.confidence >= VISUAL_MATCH_THRESHOLD ? 'strong' :
+                result.confidence >= VISUAL_PARTIAL_THRESHOLD ? 'partial' : 'weak';
+            const row = document.createElement('div');
+            row.className = `detection-item ${level}`;
+            row.innerHTML = html`
+                <span class="detection-name">${item.name}</span>
+                <div class="match-meter"><div class="match-fill"></div></div>
+                <span class="detection-score">${Math.round(result.confidence * 100)}%</span>
+            `;
+            row.querySelector('.match-fill').style.width = `${Math.round(result.confidence * 100)}%`;
+            container.appendChild(row);
+        });
+    }
+
+    // Analyse the current frame immediately and report the outcome
+    async captureScan() {
+        if (!this.cameraActive) return;
         
-        this.logActivity('Camera scan captured', 'system');
+        const results = await this.analyzeCameraFrame();
+        if (!results) {
+            alert('Camera is not ready yet');
+            return;
+        }
         
-        // In a real implementation, this would:
-        // 1. Save the image as a reference
-        // 2. Compare with saved item images
-        // 3. Update item location based on visual recognition
+        const best = results[0];
+        const item = best && this.items.get(best.itemId);
+        if (item && best.confidence >= VISUAL_MATCH_THRESHOLD) {
+            alert(`Found ${item.name} (${Math.round(best.confidence * 100)}% match)` +
+                (this.currentLocation ? ' - location updated' : ''));
+        } else {
+            this.logActivity(`Camera scan: no strong match${item ? ` (best ${item.name}, ${Math.round(best.confidence * 100)}%)` : ''}`, 'system');
+        }
     }
 
-    // Photo capture/upload
+    // Photo capture/upload (into the save form, or the item open in the photo manager)
     capturePhoto() {
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
             alert('Camera not available');
@@ -1061,19 +7414,7 @@ class TraceItApp {
                 
                 // After a moment, capture frame
                 setTimeout(() => {
-                    const canvas = document.createElement('canvas');
-                    canvas.width = video.videoWidth;
-                    canvas.height = video.videoHeight;
-                    
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(video, 0, 0);
-                    
-                    // Convert to data URL
-                    const dataUrl = canvas.toDataURL('image/jpeg');
-                    
-                    // Update preview
-                    const preview = document.getElementById('photoPreview');
-                    preview.innerHTML = `<img src="${dataUrl}" alt="Captured photo">`;
+                    this.addPhotos([renderPhoto(video)]);
                     
                     // Stop stream
                     stream.getTracks().forEach(track => track.stop());
@@ -1086,134 +7427,142 @@ class TraceItApp {
             });
     }
 
-    handlePhotoUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    async handlePhotoUpload(event) {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        if (files.length === 0) return;
         
-        if (!file.type.startsWith('image/')) {
-            alert('Please select an image file');
+        if (files.some(file => !file.type.startsWith('image/'))) {
+            alert('Please select image files only');
             return;
         }
         
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const preview = document.getElementById('photoPreview');
-            preview.innerHTML = `<img src="${e.target.result}" alt="Uploaded photo">`;
-        };
-        reader.readAsDataURL(file);
+        try {
+            const photos = [];
+            for (const file of files) {
+                const { image, orientation } = await decodeImageFile(file);
+                photos.push(renderPhoto(image, orientation));
+                if (image.close) image.close();
+            }
+            this.addPhotos(photos);
+        } catch (error) {
+            console.error('Photo upload failed:', error);
+            alert('Cannot read photo: ' + error.message);
+        }
     }
 
     uploadPhoto() {
         document.getElementById('photoUpload').click();
     }
 
-    // Update current location manually
-    updateLocation() {
-        if ('geolocation' in navigator) {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    this.handleLocationUpdate(position);
-                    alert('Location updated successfully!');
-                },
-                (error) => {
-                    alert('Unable to get location: ' + error.message);
-                }
-            );
-        }
+    // Photos being edited: the open item's, or the save form's
+    getEditedPhotos() {
+        const item = this.photoManagerItemId && this.items.get(this.photoManagerItemId);
+        return item ? item.photos : this.formPhotos;
     }
-}
-
-// Global app instance and helper functions
-let app;
-
-// Initialize app when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    app = new TraceItApp();
-});
-
-// Global functions for HTML event handlers
-function showPage(pageId) {
-    app.showPage(pageId);
-}
-
-function startCameraScan() {
-    app.startCameraScan();
-}
-
-function closeCameraModal() {
-    app.closeCameraModal();
-}
-
-function toggleCamera() {
-    app.toggleCamera();
-}
-
-function captureScan() {
-    app.captureScan();
-}
-
-function capturePhoto() {
-    app.capturePhoto();
-}
 
-function uploadPhoto() {
-    app.uploadPhoto();
-}
-
-function saveItem() {
-    app.saveItem();
-}
-
-function loadTrackedItems() {
-    app.loadTrackedItems();
-}
-
-function startLiveTracking() {
-    app.startLiveTracking();
-}
-
-function stopLiveTracking() {
-    app.stopLiveTracking();
-}
+    addPhotos(photos) {
+        const current = this.getEditedPhotos();
+        const room = MAX_PHOTOS_PER_ITEM - current.length;
+        if (room < photos.length) {
+            alert(`Items can have up to ${MAX_PHOTOS_PER_ITEM} photos`);
+        }
+        current.push(...photos.slice(0, Math.max(0, room)));
+        this.photosChanged();
+    }
 
-function stopLiveFinder() {
-    app.stopLiveFinder();
-}
+    removePhoto(index) {
+        this.getEditedPhotos().splice(index, 1);
+        this.photosChanged();
+    }
 
-function selectFinderItem() {
-    app.selectFinderItem();
-}
+    // Move a photo to the front, making it the primary photo
+    setPrimaryPhoto(index) {
+        const photos = this.getEditedPhotos();
+        photos.unshift(...photos.splice(index, 1));
+        this.photosChanged();
+    }
 
-function toggleSound() {
-    app.toggleSound();
-}
+    photosChanged() {
+        const item = this.photoManagerItemId && this.items.get(this.photoManagerItemId);
+        if (item) {
+            this.saveItemsToStorage();
+            this.renderPhotoGallery(document.getElementById('photoManagerGrid'), item.photos);
+            this.loadTrackedItems();
+        } else {
+            this.renderPhotoGallery(document.getElementById('photoPreview'), this.formPhotos);
+        }
+    }
 
-function toggleVibration() {
-    app.toggleVibration();
-}
+    // Thumbnails with set-primary and remove buttons
+    renderPhotoGallery(container, photos) {
+        if (!container) return;
+        
+        if (photos.length === 0) {
+            container.classList.remove('has-photos');
+            container.innerHTML = `
+                <i class="fas fa-image"></i>
+                <p>No photo selected</p>
+            `;
+            return;
+        }
+        
+        container.classList.add('has-photos');
+        container.innerHTML = html`${photos.map((photo, index) => html`
+            <div class="photo-thumb ${index === 0 ? 'primary' : ''}">
+                <img src="${photo}" alt="Photo ${index + 1}">
+                ${index === 0 ?
+                    html`<span class="photo-badge">Primary</span>` :
+                    html`<button class="photo-action" data-action="setPrimaryPhoto" data-index="${index}" title="Make primary"><i class="fas fa-star"></i></button>`
+                }
+                <button class="photo-action remove" data-action="removePhoto" data-index="${index}" title="Remove"><i class="fas fa-times"></i></button>
+            </div>
+        `)}`;
+    }
 
-function updateLocation() {
-    app.updateLocation();
-}
+    // Photo manager for a saved item
+    openPhotoManager(itemId) {
+        const item = this.items.get(itemId);
+        if (!item) return;
+        
+        this.photoManagerItemId = itemId;
+        document.getElementById('photoManagerTitle').textContent = `Photos of ${item.name}`;
+        this.renderPhotoGallery(document.getElementById('photoManagerGrid'), item.photos);
+        document.getElementById('photoModal').classList.add('active');
+    }
 
-// For item card buttons (needs to be in global scope)
-window.app = app;
+    closePhotoManager() {
+        const item = this.items.get(this.photoManagerItemId);
+        this.photoManagerItemId = null;
+        document.getElementById('photoModal').classList.remove('active');
+        if (item) {
+            this.logActivity(`Updated photos of ${item.name} (${item.photos.length})`, 'update', item);
+        }
+    }
 
-// Helper function for item card buttons
-function findItem(itemId) {
-    app.findItem(itemId);
+    // Update current location manually
+    updateLocation() {
+        if (typeof this.sensors.location.refresh !== 'function') return;
+        
+        this.sensors.location.refresh()
+            .then(() => {
+                alert('Location updated successfully!');
+            })
+            .catch(error => {
+                alert('Unable to get location: ' + error.message);
+            });
+    }
 }
 
-function updateItemLocation(itemId) {
-    app.updateItemLocation(itemId);
-}
+// Global app instance
+let app;
 
-function deleteItem(itemId) {
-    app.deleteItem(itemId);
+// In the browser, initialize the app when the page loads. Under Node (the test
+// suite) export the classes instead and let the caller create the app.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TraceItApp, Item, LocalStorageItemStore, MonitorEngine, readExifOrientation };
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        app = new TraceItApp();
+    });
 }
-
-// Add these to window for HTML onclick handlers
-window.findItem = findItem;
-window.updateItemLocation = updateItemLocation;
-window.deleteItem = deleteItem;
-window.activateCameraScan = startCameraScan;
@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+// TraceIt reference sync server
+//
+// A small, dependency-free backend for trying multi-device sync locally or
+// on a home server. It keeps an append-only log of item records; clients
+// merge them field by field, so the server never interprets item contents.
+//
+//   node server/sync-server.js [--port 8787] [--data sync-data.json]
+//
+// REST       GET  /changes?since=<cursor>      -> { records, cursor }
+//            POST /changes { records }         -> { cursor }
+// WebSocket  ws://host:port/changes, JSON messages
+//            { id, type: 'pull', since }       -> { id, type: 'changes', records, cursor }
+//            { id, type: 'push', records }     -> { id, type: 'ack', cursor }
+//            records pushed by other clients arrive as { type: 'changes', records }
+//
+// Set SYNC_TOKEN to require "Authorization: Bearer <token>" (or ?token= on
+// the WebSocket URL).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Append-only change log, optionally persisted to a JSON file
+class ChangeLog {
+    constructor(file) {
+        this.file = file || null;
+        this.entries = [];      // [{ seq, record }]
+        
+        if (this.file && fs.existsSync(this.file)) {
+            this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8')).entries || [];
+        }
+    }
+
+    get cursor() {
+        return this.entries.length ? this.entries[this.entries.length - 1].seq : 0;
+    }
+
+    // Records appended after the given cursor
+    since(cursor) {
+        const from = Number(cursor) || 0;
+        return {
+            records: this.entries.filter(entry => entry.seq > from).map(entry => entry.record),
+            cursor: this.cursor
+        };
+    }
+
+    append(records) {
+        records.forEach(record => {
+            this.entries.push({ seq: this.cursor + 1, record: record });
+        });
+        if (this.file) {
+            fs.writeFileSync(this.file, JSON.stringify({ entries: this.entries }));
+        }
+        return this.cursor;
+    }
+}
+
+// Every record needs an id; deletions need their time
+function validateRecords(records) {
+    if (!Array.isArray(records)) {
+        throw new Error('records must be an array');
+    }
+    records.forEach(record => {
+        if (!record || typeof record.id !== 'string' || !record.id) {
+            throw new Error('Every record needs an id');
+        }
+        if (record.deleted ? typeof record.deletedAt !== 'number' : typeof record.fields !== 'object') {
+            throw new Error(`Record ${record.id} is malformed`);
+        }
+    });
+    return records;
+}
+
+function isAuthorized(token, provided) {
+    if (!token) return true;
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(provided || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Minimal RFC 6455 text-frame support: enough for JSON messages
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Split complete frames off the front of a buffer: { frames, rest }
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+        
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        if (length > MAX_BODY_SIZE) {
+            throw new Error('Frame too large');
+        }
+        
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < position + maskLength + length) break;
+        
+        const mask = masked ? buffer.slice(position, position + 4) : null;
+        const payload = Buffer.from(buffer.slice(position + maskLength, position + maskLength + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        
+        frames.push({ opcode, payload });
+        offset = position + maskLength + length;
+    }
+    
+    return { frames, rest: buffer.slice(offset) };
+}
+
+function createSyncServer(options = {}) {
+    const log = options.log || new ChangeLog(options.dataFile);
+    const token = options.token || '';
+    const sockets = new Set();
+    
+    const sendJSON = (response, status, body) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+        });
+        response.end(JSON.stringify(body));
+    };
+    
+    const broadcast = (records, except) => {
+        const frame = encodeFrame(JSON.stringify({ type: 'changes', records }));
+        sockets.forEach(socket => {
+            if (socket !== except) socket.write(frame);
+        });
+    };
+    
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        
+        if (request.method === 'OPTIONS') {
+            sendJSON(response, 204, {});
+            return;
+        }
+        if (url.pathname !== '/changes') {
+            sendJSON(response, 404, { error: 'Not found' });
+            return;
+        }
+        
+        const bearer = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        if (!isAuthorized(token, bearer)) {
+            sendJSON(response, 401, { error: 'Unauthorized' });
+            return;
+        }
+        
+        if (request.method === 'GET') {
+            sendJSON(response, 200, log.since(url.searchParams.get('since')));
+            return;
+        }
+        if (request.method !== 'POST') {
+            sendJSON(response, 405, { error: 'Method not allowed' });
+            return;
+        }
+        
+        let body = '';
+        request.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                sendJSON(response, 413, { error: 'Request too large' });
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                const records = validateRecords(JSON.parse(body).records);
+                const cursor = log.append(records);
+                broadcast(records, null);
+                sendJSON(response, 200, { cursor });
+            } catch (error) {
+                sendJSON(response, 400, { error: error.message });
+            }
+        });
+    });
+    
+    server.on('upgrade', (request, socket) => {
+        const url = new URL(request.url, 'http://localhost');
+        const key = request.headers['sec-websocket-key'];
+        if (url.pathname !== '/changes' || !key || !isAuthorized(token, url.searchParams.get('token'))) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        sockets.add(socket);
+        
+        const reply = (message) => socket.write(encodeFrame(JSON.stringify(message)));
+        let buffered = Buffer.alloc(0);
+        
+        socket.on('data', (chunk) => {
+            let decoded;
+            try {
+                decoded = decodeFrames(Buffer.concat([buffered, chunk]));
+            } catch (error) {
+                socket.destroy();
+                return;
+            }
+            buffered = decoded.rest;
+            
+            decoded.frames.forEach(({ opcode, payload }) => {
+                if (opcode === 0x8) {
+                    socket.end(Buffer.from([0x88, 0]));
+                    return;
+                }
+                if (opcode === 0x9) {
+                    socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+                    return;
+                }
+                if (opcode !== 0x1) return;
+                
+                let message = null;
+                try {
+                    message = JSON.parse(payload.toString());
+                    if (message.type === 'pull') {
+                        reply({ id: message.id, type: 'changes', ...log.since(message.since) });
+                    } else if (message.type === 'push') {
+                        const records = validateRecords(message.records);
+                        const cursor = log.append(records);
+                        reply({ id: message.id, type: 'ack', cursor });
+                        broadcast(records, socket);
+                    } else {
+                        throw new Error(`Unknown message type: ${message.type}`);
+                    }
+                } catch (error) {
+                    reply({ id: message && message.id, type: 'error', error: error.message });
+                }
+            });
+        });
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => sockets.delete(socket));
+    });
+    
+    return server;
+}
+
+function parseArgs(argv) {
+    const args = { port: Number(process.env.PORT) || 8787, dataFile: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--data') args.dataFile = argv[++i];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const server = createSyncServer({ dataFile: args.dataFile, token: process.env.SYNC_TOKEN });
+    server.listen(args.port, () => {
+        console.log(`TraceIt sync server listening on http://localhost:${args.port}` +
+            (args.dataFile ? ` (data: ${args.dataFile})` : ' (in memory)'));
+    });
+}
+
+module.exports = { createSyncServer, ChangeLog };
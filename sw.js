@@ -0,0 +1,169 @@
+// TraceIt - Service Worker
+// Precaches the app shell so TraceIt works offline after the first load, and
+// checks it for changes on every visit so new releases are offered right away.
+
+// Version of the cache layout, not of the app: shell changes are found by
+// comparing file contents. Bump it when the worker's caching changes.
+const APP_VERSION = '1.0.0';
+const SHELL_CACHE = `traceit-shell-${APP_VERSION}`;
+const RUNTIME_CACHE = 'traceit-runtime';   // Fonts and other third-party assets; kept across versions
+
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0';
+
+// Same-origin app shell
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Shell paths, for telling precached files from other same-origin requests
+const SHELL_PATHS = new Set(SHELL_FILES.map(file => new URL(file, self.location).pathname));
+
+// Third-party assets the UI cannot do without
+const VENDOR_FILES = [
+    `${FONT_AWESOME}/css/all.min.css`,
+    `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-brands-400.woff2`
+];
+
+// Other hosts whose responses are cached as they are used
+const RUNTIME_HOSTS = [
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'assets.mixkit.co'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(async (cache) => {
+            // Bypass the HTTP cache so a new version never precaches stale files
+            await cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+            
+            // Vendor files are best effort: the shell still works without icons
+            await Promise.all(VENDOR_FILES.map(url =>
+                cache.add(new Request(url, { mode: 'cors' }))
+                    .catch(error => console.warn('Could not precache', url, error))));
+        })
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('traceit-') && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(dropSameOriginRuntimeEntries)
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const type = event.data && event.data.type;
+    
+    // The page asks a waiting worker to take over once the user accepts the update
+    if (type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+    
+    // Each page load asks for a check of the cached shell against the server
+    if (type === 'CHECK_SHELL') {
+        event.waitUntil(
+            revalidateShell()
+                .then(changed => {
+                    if (changed && event.source) {
+                        event.source.postMessage({ type: 'SHELL_UPDATED' });
+                    }
+                })
+                .catch(error => console.warn('Could not check for updates', error))
+        );
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    // Pages: the cached shell, so the app opens without a connection
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+    
+    const sameOrigin = url.origin === self.location.origin;
+    if ((sameOrigin && SHELL_PATHS.has(url.pathname)) || RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (sameOrigin) {
+        // Anything else here (a sync server, new files) must stay fresh
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// Serve from cache, otherwise fetch and keep a copy (map tiles, fonts, sounds)
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Fetch the shell again and, if any file changed, cache the new files together so
+// a reload never mixes two releases. Resolves true when the shell was updated.
+async function revalidateShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    const fresh = await Promise.all(SHELL_FILES.map(url => fetch(new Request(url, { cache: 'no-cache' }))));
+    if (fresh.some(response => !response.ok)) return false;
+    
+    const changed = await Promise.all(fresh.map(async (response, index) => {
+        const cached = await cache.match(SHELL_FILES[index]);
+        return !cached || !sameBytes(await cached.arrayBuffer(), await response.clone().arrayBuffer());
+    }));
+    if (!changed.includes(true)) return false;
+    
+    await Promise.all(fresh.map((response, index) => cache.put(SHELL_FILES[index], response)));
+    return true;
+}
+
+function sameBytes(a, b) {
+    if (a.byteLength !== b.byteLength) return false;
+    const left = new Uint8Array(a);
+    const right = new Uint8Array(b);
+    return left.every((byte, index) => byte === right[index]);
+}
+
+// Always ask the network; the cache only answers when offline
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Earlier versions cached every same-origin response at runtime; forget those
+async function dropSameOriginRuntimeEntries() {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => new URL(request.url).origin === self.location.origin)
+        .map(request => cache.delete(request)));
+}
@@ -0,0 +1,148 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, startApp } = require('./helpers/environment');
+const { readExifOrientation } = require('../script.js');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+describe('distance and direction', () => {
+    let env;
+    let app;
+    
+    before(async () => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: NOW });
+        env = createEnvironment();
+        app = await startApp(env);
+    });
+    
+    after(() => {
+        env.restore();
+        mock.timers.reset();
+    });
+    
+    it('measures great-circle distance in meters', () => {
+        const sanFrancisco = { lat: 37.7749, lng: -122.4194 };
+        const losAngeles = { lat: 34.0522, lng: -118.2437 };
+        
+        assert.equal(app.calculateDistance(sanFrancisco, sanFrancisco), 0);
+        assert.ok(Math.abs(app.calculateDistance(sanFrancisco, losAngeles) - 559120) < 1000);
+        
+        // One thousandth of a degree of latitude is about 111 m anywhere
+        const north = { lat: sanFrancisco.lat + 0.001, lng: sanFrancisco.lng };
+        assert.ok(Math.abs(app.calculateDistance(sanFrancisco, north) - 111.2) < 0.5);
+    });
+    
+    it('gives the compass bearing from the user to the item', () => {
+        const user = { lat: 0, lng: 0 };
+        const bearing = (lat, lng) => app.calculateDirection({ lat, lng }, user);
+        
+        assert.ok(Math.abs(bearing(0.001, 0) - 0) < 1e-6);
+        assert.ok(Math.abs(bearing(0, 0.001) - 90) < 1e-6);
+        assert.ok(Math.abs(bearing(-0.001, 0) - 180) < 1e-6);
+        assert.ok(Math.abs(bearing(0, -0.001) - 270) < 1e-6);
+        assert.equal(app.calculateDirection(null, user), 0);
+    });
+    
+    it('simulates RSSI with the path-loss model', () => {
+        mock.method(Math, 'random', () => 0.5);     // No noise
+        try {
+            assert.equal(app.calculateRSSIFromDistance(1), -40);
+            assert.equal(app.calculateRSSIFromDistance(0.2), -40);
+            assert.equal(app.calculateRSSIFromDistance(10), -60);
+            assert.equal(app.calculateRSSIFromDistance(10, { pathLossExponent: 3 }), -70);
+            assert.equal(app.calculateRSSIFromDistance(1, { txPower: -20 }), -30);
+            assert.equal(app.calculateRSSIFromDistance(100000), -100);
+        } finally {
+            Math.random.mock.restore();
+        }
+        
+        const noisy = app.calculateRSSIFromDistance(10);
+        assert.ok(noisy >= -65 && noisy <= -55);
+    });
+    
+    it('describes how long ago an item was seen', () => {
+        const ago = (ms) => app.getTimeAgo(new Date(Date.now() - ms));
+        
+        assert.equal(ago(0), 'Just now');
+        assert.equal(ago(59 * 1000), 'Just now');
+        assert.equal(ago(5 * 60 * 1000), '5m ago');
+        assert.equal(ago(3 * 60 * 60 * 1000 + 1000), '3h ago');
+        assert.equal(ago(2 * 24 * 60 * 60 * 1000), '2d ago');
+    });
+});
+
+describe('proximity feedback', () => {
+    let env;
+    let app;
+    
+    before(async () => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: NOW });
+        env = createEnvironment();
+        app = await startApp(env);
+    });
+    
+    after(() => {
+        env.restore();
+        mock.timers.reset();
+    });
+    
+    const feedbackAt = (distance) => {
+        app.updateProximityFeedbackBasedOnDistance(distance);
+        return env.document.querySelector('#proximityFeedback span').textContent;
+    };
+    
+    it('switches message at 1, 5, 20 and 100 meters', () => {
+        assert.equal(feedbackAt(0.5), 'Item is within 1 meter!');
+        assert.equal(feedbackAt(1), 'Item is very close');
+        assert.equal(feedbackAt(4.9), 'Item is very close');
+        assert.equal(feedbackAt(5), 'Item is nearby');
+        assert.equal(feedbackAt(19.9), 'Item is nearby');
+        assert.equal(feedbackAt(20), 'Item is within 100 meters');
+        assert.equal(feedbackAt(99), 'Item is within 100 meters');
+        assert.equal(feedbackAt(100), 'Item is far away');
+    });
+    
+    it('colors the feedback border by distance', () => {
+        const border = (distance) => {
+            feedbackAt(distance);
+            return env.document.getElementById('proximityFeedback').style.borderLeft;
+        };
+        
+        assert.match(border(3), /rgb\(16, 185, 129\)/);
+        assert.match(border(50), /rgb\(245, 158, 11\)/);
+        assert.match(border(500), /rgb\(239, 68, 68\)/);
+    });
+});
+
+describe('photo orientation', () => {
+    // JPEG start, an APP1 Exif segment with one big-endian orientation entry, JPEG end
+    const jpegWithExif = (orientation, ifdOffset = 8) => {
+        const exif = [
+            0x45, 0x78, 0x69, 0x66, 0x00, 0x00,                         // "Exif\0\0"
+            0x4D, 0x4D, 0x00, 0x2A, ...uint32(ifdOffset),               // "MM", 42, first IFD
+            0x00, 0x01,                                                 // One entry
+            0x01, 0x12, 0x00, 0x03, ...uint32(1), 0x00, orientation, 0x00, 0x00,
+            ...uint32(0)                                                // No next IFD
+        ];
+        return new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, 0x00, exif.length + 2, ...exif, 0xFF, 0xD9]).buffer;
+    };
+    const uint32 = (value) => [value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    
+    it('reads the EXIF orientation of a JPEG', () => {
+        assert.equal(readExifOrientation(jpegWithExif(6)), 6);
+        assert.equal(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4E, 0x47]).buffer), 1);
+    });
+    
+    it('falls back to upright for truncated or corrupt EXIF', () => {
+        const jpeg = jpegWithExif(6);
+        // The orientation entry ends 34 bytes in
+        for (let length = 0; length < 34; length++) {
+            assert.equal(readExifOrientation(jpeg.slice(0, length)), 1, `cut at ${length} bytes`);
+        }
+        assert.equal(readExifOrientation(jpeg.slice(0, 34)), 6);
+        
+        assert.equal(readExifOrientation(jpegWithExif(6, 0xFFFFFF00)), 1);
+        assert.equal(readExifOrientation(jpegWithExif(0)), 1);
+        assert.equal(readExifOrientation(jpegWithExif(200)), 1);
+    });
+});
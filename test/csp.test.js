@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const PAGE_URL = 'https://traceit.example/';
+const INDEX_HTML = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+
+// Directive -> source list from the page's CSP meta tag
+function readPolicy(document) {
+    const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+    return new Map(meta.content.split(';')
+        .map(directive => directive.trim().split(/\s+/))
+        .filter(([name]) => name)
+        .map(([name, ...sources]) => [name, sources]));
+}
+
+// Whether a directive (or default-src) lets the page load url
+function allows(policy, directive, url) {
+    const sources = policy.get(directive) || policy.get('default-src') || [];
+    const target = new URL(url, PAGE_URL);
+    const page = new URL(PAGE_URL);
+    return sources.some(source => {
+        // 'self' is the page's scheme and host, so it never covers blob: or data: URLs
+        if (source === "'self'") return target.protocol === page.protocol && target.host === page.host;
+        if (/^[a-z][a-z0-9+.-]*:$/.test(source)) return target.protocol === source;
+        if (source.startsWith("'")) return false;
+        const host = new URL(source);
+        return target.protocol === host.protocol && target.host === host.host;
+    });
+}
+
+describe('content security policy', () => {
+    const { document } = new JSDOM(INDEX_HTML, { url: PAGE_URL }).window;
+    const policy = readPolicy(document);
+
+    const check = (directive, url) => {
+        assert.ok(allows(policy, directive, url), `${directive} blocks ${url}`);
+    };
+
+    it('allows every resource the page references', () => {
+        document.querySelectorAll('script[src]').forEach(script => check('script-src', script.getAttribute('src')));
+        document.querySelectorAll('link[rel~="stylesheet"]').forEach(link => check('style-src', link.getAttribute('href')));
+        document.querySelectorAll('link[rel~="icon"], link[rel="apple-touch-icon"], img[src]')
+            .forEach(element => check('img-src', element.getAttribute('href') || element.getAttribute('src')));
+        document.querySelectorAll('link[rel="manifest"]').forEach(link => check('manifest-src', link.getAttribute('href')));
+        document.querySelectorAll('audio[src], video[src]').forEach(media => check('media-src', media.getAttribute('src')));
+    });
+
+    it('allows what the app loads at runtime', () => {
+        // Icon and text fonts from the stylesheets
+        check('font-src', 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2');
+        check('font-src', 'https://fonts.gstatic.com/s/inter/v13/inter.woff2');
+
+        // Photos: stored as object URLs, imported as data URLs, and read back for exports
+        check('img-src', 'blob:https://traceit.example/1c9e');
+        check('img-src', 'data:image/jpeg;base64,AAAA');
+        check('connect-src', 'blob:https://traceit.example/1c9e');
+
+        // Background monitor and image matching workers
+        check('worker-src', 'blob:https://traceit.example/5f2a');
+
+        // Map tiles, sync servers and OpenStreetMap extracts on any host
+        check('img-src', 'https://tile.openstreetmap.org/2/1/1.png');
+        check('connect-src', 'https://sync.example.org/changes?since=0');
+        check('connect-src', 'wss://sync.example.org/socket');
+    });
+
+    it('needs no inline script or style', () => {
+        assert.equal(document.querySelectorAll('script:not([src])').length, 0);
+        assert.equal(document.querySelectorAll('[style]').length, 0);
+        const handlers = Array.from(document.querySelectorAll('*'))
+            .flatMap(element => element.getAttributeNames().filter(name => name.startsWith('on')));
+        assert.deepEqual(handlers, []);
+    });
+});
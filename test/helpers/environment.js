@@ -0,0 +1,296 @@
+// Test environment for TraceItApp: the real index.html in jsdom, installed as
+// the browser globals script.js uses, plus fake sensors the tests drive.
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const INDEX_HTML = fs.readFileSync(path.join(__dirname, '..', '..', 'index.html'), 'utf8')
+    .replace('<script src="script.js"></script>', '');
+
+// In-memory Web Storage
+class FakeStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+}
+
+// Geolocation API whose position the test sets with moveTo()
+class FakeGeolocation {
+    constructor() {
+        this.position = null;
+        this.watchers = new Map();
+        this.nextId = 1;
+    }
+
+    get watching() {
+        return this.watchers.size;
+    }
+
+    watchPosition(success, error) {
+        const id = this.nextId++;
+        this.watchers.set(id, { success, error });
+        if (this.position) success(this.position);
+        return id;
+    }
+
+    clearWatch(id) {
+        this.watchers.delete(id);
+    }
+
+    getCurrentPosition(success, error) {
+        if (this.position) {
+            success(this.position);
+        } else if (error) {
+            error({ code: 2, message: 'Position unavailable' });
+        }
+    }
+
+    // Report a lost fix to the watchers
+    fail(message = 'Position unavailable') {
+        this.watchers.forEach(watcher => watcher.error && watcher.error({ code: 2, message: message }));
+    }
+
+    moveTo(lat, lng, accuracy = 5) {
+        this.position = {
+            coords: { latitude: lat, longitude: lng, accuracy: accuracy },
+            timestamp: Date.now()
+        };
+        this.watchers.forEach(watcher => watcher.success(this.position));
+    }
+}
+
+// Device orientation and motion events; turnTo() reports an absolute compass
+// alpha, shake() an acceleration (m/s²)
+class FakeOrientation extends EventTarget {
+    constructor() {
+        super();
+        this.ondeviceorientation = null;
+        this.ondevicemotion = null;
+    }
+
+    shake(x, y = 0, z = 0) {
+        const event = new Event('devicemotion');
+        Object.assign(event, { acceleration: { x, y, z }, interval: 16 });
+        this.dispatchEvent(event);
+    }
+
+    turnTo(alpha) {
+        const event = new Event('deviceorientation');
+        Object.assign(event, { alpha: alpha, beta: 0, gamma: 0, absolute: true });
+        this.dispatchEvent(event);
+    }
+}
+
+// Web Audio graph that records the sonar pings instead of playing them
+class FakeAudioParam {
+    constructor(value) {
+        this.value = value;
+    }
+
+    setValueAtTime(value) {
+        this.value = value;
+    }
+
+    exponentialRampToValueAtTime() {}
+}
+
+class FakeAudioNode {
+    constructor(properties = {}) {
+        Object.assign(this, properties);
+        this.output = null;
+    }
+
+    connect(node) {
+        this.output = node;
+        return node;
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.state = 'suspended';
+        this.createdAt = Date.now();
+        this.destination = new FakeAudioNode();
+        this.oscillators = [];
+    }
+
+    // Audio clock in seconds, following the (mocked) Date
+    get currentTime() {
+        return (Date.now() - this.createdAt) / 1000;
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    createOscillator() {
+        const oscillator = new FakeAudioNode({ type: 'sine', frequency: new FakeAudioParam(440) });
+        oscillator.start = (time) => { oscillator.startTime = time; };
+        oscillator.stop = () => {};
+        this.oscillators.push(oscillator);
+        return oscillator;
+    }
+
+    createBiquadFilter() {
+        return new FakeAudioNode({ type: 'lowpass', frequency: new FakeAudioParam(350) });
+    }
+
+    createGain() {
+        return new FakeAudioNode({ gain: new FakeAudioParam(1) });
+    }
+
+    createStereoPanner() {
+        return new FakeAudioNode({ pan: new FakeAudioParam(0) });
+    }
+
+    // Each ping's pitch, start time, low-pass cutoff and stereo pan
+    get pings() {
+        return this.oscillators.map(oscillator => {
+            const filter = oscillator.output;
+            const panner = filter.output.output;
+            return {
+                frequency: oscillator.frequency.value,
+                start: oscillator.startTime,
+                cutoff: filter.frequency.value,
+                pan: panner.pan.value
+            };
+        });
+    }
+}
+
+// Speech synthesis that records what would be said
+class FakeSpeechSynthesis {
+    constructor() {
+        this.spoken = [];
+        this.cancelled = 0;
+    }
+
+    speak(utterance) {
+        this.spoken.push(utterance.text);
+    }
+
+    cancel() {
+        this.cancelled++;
+    }
+}
+
+const GLOBAL_NAMES = ['window', 'document', 'navigator', 'localStorage', 'alert', 'confirm', 'prompt',
+    'DOMParser', 'FileReader'];
+
+// Build a page and install its globals; call restore() when the test ends.
+// options.webAudio and options.speech add fake Web Audio and speech synthesis.
+function createEnvironment(options = {}) {
+    const dom = new JSDOM(INDEX_HTML, { url: 'http://localhost/', pretendToBeVisual: true });
+    const env = {
+        window: dom.window,
+        document: dom.window.document,
+        storage: new FakeStorage(),
+        geolocation: new FakeGeolocation(),
+        orientation: new FakeOrientation(),
+        alerts: [],
+        beeps: [],
+        audio: null,
+        speech: null,
+        apps: []
+    };
+    
+    if (options.webAudio) {
+        dom.window.AudioContext = class extends FakeAudioContext {
+            constructor() {
+                super();
+                env.audio = this;
+            }
+        };
+    }
+    if (options.speech) {
+        env.speech = new FakeSpeechSynthesis();
+        dom.window.speechSynthesis = env.speech;
+        dom.window.SpeechSynthesisUtterance = class {
+            constructor(text) {
+                this.text = text;
+            }
+        };
+    }
+    
+    // jsdom has no media playback; record the proximity beeps instead
+    dom.window.HTMLMediaElement.prototype.play = function () {
+        env.beeps.push(this.playbackRate);
+        return Promise.resolve();
+    };
+    
+    const globals = {
+        window: dom.window,
+        document: dom.window.document,
+        navigator: dom.window.navigator,
+        localStorage: env.storage,
+        alert: (message) => env.alerts.push(String(message)),
+        confirm: () => true,
+        prompt: () => null,
+        DOMParser: dom.window.DOMParser,
+        FileReader: dom.window.FileReader
+    };
+    const previous = GLOBAL_NAMES.map(name => Object.getOwnPropertyDescriptor(globalThis, name));
+    GLOBAL_NAMES.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: globals[name], configurable: true, writable: true });
+    });
+    
+    env.restore = () => {
+        env.apps.forEach(app => {
+            app.stopSensors();
+            app.monitor.terminate();
+        });
+        GLOBAL_NAMES.forEach((name, index) => {
+            if (previous[index]) {
+                Object.defineProperty(globalThis, name, previous[index]);
+            } else {
+                delete globalThis[name];
+            }
+        });
+        dom.window.close();
+    };
+    return env;
+}
+
+// Create an app on the fake sensors and wait until its items are loaded
+async function startApp(env, options = {}) {
+    const { TraceItApp } = require('../../script.js');
+    const app = new TraceItApp({
+        sensorMode: 'auto',
+        geolocation: env.geolocation,
+        sensorTarget: env.orientation,
+        bluetooth: null,
+        ...options
+    });
+    env.apps.push(app);
+    await app.ready;
+    return app;
+}
+
+module.exports = {
+    createEnvironment, startApp, FakeStorage, FakeGeolocation, FakeOrientation, FakeAudioContext, FakeSpeechSynthesis
+};
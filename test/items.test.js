@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, startApp } = require('./helpers/environment');
+
+describe('saving items', () => {
+    let env;
+    let app;
+    
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: new Date('2026-03-01T12:00:00Z') });
+        env = createEnvironment();
+        app = await startApp(env);
+    });
+    
+    afterEach(() => {
+        env.restore();
+        mock.timers.reset();
+    });
+    
+    const fillForm = (fields) => {
+        Object.entries(fields).forEach(([id, value]) => {
+            env.document.getElementById(id).value = value;
+        });
+    };
+    
+    it('waits for a location fix before saving', () => {
+        fillForm({ itemName: 'Keys' });
+        app.saveItem();
+        
+        assert.deepEqual(env.alerts, ['Please wait for location to be acquired']);
+        assert.equal(app.items.size, 0);
+    });
+    
+    it('requires a name', () => {
+        env.geolocation.moveTo(51.5007, -0.1246);
+        app.saveItem();
+        
+        assert.deepEqual(env.alerts, ['Please enter an item name']);
+        assert.equal(app.items.size, 0);
+    });
+    
+    it('saves the item at the current location and reloads it', async () => {
+        env.geolocation.moveTo(51.5007, -0.1246, 8);
+        fillForm({ itemName: 'Keys', itemNotes: 'On the hook', itemTags: 'home, daily', itemOwner: 'Sam' });
+        app.saveItem();
+        
+        assert.deepEqual(env.alerts, ['Keys saved successfully!']);
+        const [saved] = app.items.values();
+        assert.equal(saved.name, 'Keys');
+        assert.equal(saved.location.lat, 51.5007);
+        assert.equal(saved.location.lng, -0.1246);
+        assert.equal(env.document.getElementById('itemCount').textContent, '1');
+        assert.equal(env.document.getElementById('dashboard').classList.contains('active'), true);
+        
+        // A second app on the same storage sees the same item
+        const reloaded = await startApp(env);
+        const item = reloaded.items.get(saved.id);
+        assert.ok(item);
+        assert.equal(item.name, 'Keys');
+        assert.equal(item.notes, 'On the hook');
+        assert.deepEqual(item.tags, ['home', 'daily']);
+        assert.equal(item.owner, 'Sam');
+        assert.equal(item.location.lat, 51.5007);
+        assert.equal(item.location.lng, -0.1246);
+        assert.equal(item.location.accuracy, 8);
+        assert.ok(item.lastSeen instanceof Date);
+        assert.equal(item.lastSeen.getTime(), saved.lastSeen.getTime());
+        assert.equal(item.sightings.length, 1);
+    });
+    
+    it('counts the listed items apart from the dashboard total', () => {
+        env.geolocation.moveTo(51.5007, -0.1246);
+        fillForm({ itemName: 'Keys' });
+        app.saveItem();
+        fillForm({ itemName: 'Wallet' });
+        app.saveItem();
+        
+        app.showPage('trackedItems');
+        const search = env.document.getElementById('itemSearch');
+        search.value = 'keys';
+        search.dispatchEvent(new env.window.Event('input', { bubbles: true }));
+        
+        assert.equal(env.document.getElementById('visibleItemCount').textContent, 'Showing 1 of 2 items');
+        assert.equal(env.document.getElementById('itemCount').textContent, '2');
+    });
+    
+    it('keeps a tag calibration across reloads', async () => {
+        env.geolocation.moveTo(51.5007, -0.1246);
+        fillForm({ itemName: 'Keys' });
+        app.saveItem();
+        const [saved] = app.items.values();
+        app.setTagCalibration(saved, { txPower: -55, pathLossExponent: 3 });
+        
+        const reloaded = await startApp(env);
+        assert.deepEqual(reloaded.items.get(saved.id).calibration, { txPower: -55, pathLossExponent: 3 });
+        
+        // Resetting to the default model survives a reload too
+        app.setTagCalibration(saved, null);
+        const again = await startApp(env);
+        assert.equal(again.items.get(saved.id).calibration, null);
+    });
+    
+    it('reminds about an overdue loan once a day without syncing the reminder', () => {
+        env.geolocation.moveTo(51.5007, -0.1246);
+        fillForm({ itemName: 'Keys' });
+        app.saveItem();
+        const [item] = app.items.values();
+        app.openLendModal(item.id);
+        fillForm({ lendBorrower: 'Alex', lendDue: '2026-03-02' });
+        app.lendItem();
+        
+        // Everything so far has been pushed
+        app.syncClient.pending.clear();
+        const fieldTimes = { ...item.fieldTimes };
+        const reminders = () => app.activity.filter(entry => entry.message.startsWith('Keys is overdue from Alex'));
+        
+        const overdue = new Date('2026-03-04T12:00:00Z');
+        app.checkOverdueLoans(overdue);
+        assert.equal(reminders().length, 1);
+        
+        app.saveItemsToStorage();
+        assert.equal(app.syncClient.pendingCount, 0);
+        assert.deepEqual(item.fieldTimes, fieldTimes);
+        assert.equal('remindedAt' in item.loan, false);
+        
+        // Not again until a day has passed
+        app.checkOverdueLoans(new Date(overdue.getTime() + 60 * 60 * 1000));
+        assert.equal(reminders().length, 1);
+        app.checkOverdueLoans(new Date(overdue.getTime() + 24 * 60 * 60 * 1000));
+        assert.equal(reminders().length, 2);
+        assert.equal(app.syncClient.pendingCount, 0);
+    });
+});
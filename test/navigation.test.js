@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, startApp } = require('./helpers/environment');
+
+// An L-shaped walk: 222 m north up North Street, then 222 m east along East Road.
+// The motorway cuts the corner but is not walkable.
+const EXTRACT = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6">
+    <node id="1" lat="0" lon="0"/>
+    <node id="2" lat="0.002" lon="0"/>
+    <node id="3" lat="0.002" lon="0.002"/>
+    <way id="10">
+        <nd ref="1"/><nd ref="2"/>
+        <tag k="highway" v="residential"/><tag k="name" v="North Street"/>
+    </way>
+    <way id="11">
+        <nd ref="2"/><nd ref="3"/>
+        <tag k="highway" v="footway"/><tag k="name" v="East Road"/>
+    </way>
+    <way id="12">
+        <nd ref="1"/><nd ref="3"/>
+        <tag k="highway" v="motorway"/>
+    </way>
+</osm>`;
+
+describe('walking directions', () => {
+    let env;
+    let app;
+    
+    const feedback = () => env.document.querySelector('#proximityFeedback span').textContent;
+    // The arrival time after the ETA depends on the local time zone
+    const arrow = () => parseFloat(env.document.getElementById('directionArrow').style.transform.slice('rotate('.length));
+    const withoutClock = () => feedback().replace(/ \(\d{1,2}:\d{2}[^)]*\)$/, '');
+    
+    // Pick a file and let the FileReader (on the mocked timers) deliver it
+    const upload = async (text, name) => {
+        const file = new env.window.File([text], name);
+        app.handleMapExtractUpload({ target: { files: [file], value: '' } });
+        for (let i = 0; i < 5; i++) {
+            mock.timers.tick(1);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+    
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: new Date('2026-03-01T12:00:00Z') });
+        env = createEnvironment();
+        app = await startApp(env);
+        
+        // The item waits at the far corner; the user starts at the other end
+        env.geolocation.moveTo(0.002, 0.002);
+        env.document.getElementById('itemName').value = 'Bike';
+        env.document.getElementById('attachMethod').value = 'gps';
+        app.saveItem();
+        env.geolocation.moveTo(0, 0);
+        
+        app.showPage('liveFinder');
+        const select = env.document.getElementById('finderItemSelect');
+        select.value = Array.from(app.items.keys())[0];
+        select.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+        app.toggleNavigation();
+        app.startLiveTracking();
+    });
+    
+    afterEach(() => {
+        env.restore();
+        mock.timers.reset();
+    });
+    
+    it('walks a straight line without map data', () => {
+        mock.timers.tick(1000);
+        
+        assert.equal(withoutClock(), 'Head north-east (straight line) · 315 m to go, ETA 4 min');
+        assert.ok(Math.abs(arrow() - 45) < 0.01);
+        assert.match(env.document.getElementById('navigationStatus').textContent, /straight line/);
+    });
+    
+    it('announces the next turn on map paths', async () => {
+        await upload(EXTRACT, 'area.osm');
+        assert.equal(env.document.getElementById('navigationStatus').textContent,
+            'Walking directions on map paths (3 points)');
+        
+        mock.timers.tick(1000);
+        assert.equal(withoutClock(), 'In 222 m, turn right onto East Road · 445 m to go, ETA 5 min');
+        assert.ok(Math.abs(arrow()) < 0.01);
+        
+        // Almost at the corner
+        env.geolocation.moveTo(0.0019, 0);
+        mock.timers.tick(1000);
+        assert.equal(withoutClock(), 'In 11.1 m, turn right onto East Road · 234 m to go, ETA 3 min');
+        
+        // Around the corner the arrow follows East Road
+        env.geolocation.moveTo(0.002, 0.0005);
+        mock.timers.tick(1000);
+        assert.equal(withoutClock(), 'In 167 m, arrive at the item · 167 m to go, ETA 2 min');
+        assert.ok(Math.abs(arrow() - 90) < 0.01);
+    });
+    
+    it('reroutes when the user strays from the route', async () => {
+        await upload(EXTRACT, 'area.osm');
+        mock.timers.tick(1000);
+        
+        env.geolocation.moveTo(0.0005, 0.001);
+        mock.timers.tick(1000);
+        assert.ok(app.activity.some(entry => entry.message === 'Rerouting to Bike'));
+        assert.match(feedback(), /^In \d+ m, /);
+    });
+    
+    it('hands over to the radar close to the item', () => {
+        env.geolocation.moveTo(0.002, 0.0019);
+        mock.timers.tick(1000);
+        
+        assert.equal(feedback(), 'Item is nearby');
+    });
+    
+    it('reads Overpass JSON and rejects other files', async () => {
+        const overpass = {
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0.002, lon: 0.002 },
+                { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'path' } }
+            ]
+        };
+        await upload(JSON.stringify(overpass), 'area.json');
+        assert.equal(env.document.getElementById('navigationStatus').textContent,
+            'Walking directions on map paths (2 points)');
+        
+        await upload('<html></html>', 'page.html');
+        assert.equal(env.alerts.at(-1), 'Cannot load map data: Not an OpenStreetMap extract');
+        
+        await upload('<osm><way><tag k="highway" v="motorway"/></way></osm>', 'roads.osm');
+        assert.equal(env.alerts.at(-1), 'Cannot load map data: No walkable paths in this map extract');
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, startApp } = require('./helpers/environment');
+
+describe('radar range and markers', () => {
+    let env;
+    let app;
+    
+    const $ = (selector) => env.document.querySelector(selector);
+    const ringLabels = () => Array.from(env.document.querySelectorAll('#radarRings .radar-ring-label'), label => label.textContent);
+    const change = (id, value) => {
+        const control = env.document.getElementById(id);
+        control.value = value;
+        control.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    };
+    
+    // Save a GPS-only item where the fake GPS currently is
+    const saveItemAt = (name, lat, lng) => {
+        env.geolocation.moveTo(lat, lng);
+        env.document.getElementById('itemName').value = name;
+        env.document.getElementById('attachMethod').value = 'gps';
+        app.saveItem();
+        return Array.from(app.items.values()).find(item => item.name === name);
+    };
+    
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: new Date('2026-03-01T12:00:00Z') });
+        env = createEnvironment();
+        app = await startApp(env);
+    });
+    
+    afterEach(() => {
+        env.restore();
+        mock.timers.reset();
+    });
+    
+    it('labels the range rings', () => {
+        assert.deepEqual(ringLabels(), ['25 m', '50 m', '100 m']);
+        
+        change('radarScale', 'log');
+        assert.deepEqual(ringLabels(), ['1 m', '10 m', '100 m']);
+    });
+    
+    it('zooms with the buttons and remembers the range', () => {
+        $('[data-action="zoomRadar"][data-delta="1"]').click();
+        assert.equal($('#radarRangeLabel').textContent, '50 m');
+        assert.equal($('#radarAutoZoom').checked, false);
+        
+        $('[data-action="zoomRadar"][data-delta="-1"]').click();
+        $('[data-action="zoomRadar"][data-delta="-1"]').click();
+        assert.equal($('#radarRangeLabel').textContent, '200 m');
+        assert.deepEqual(ringLabels(), ['50 m', '100 m', '200 m']);
+        
+        const reloaded = JSON.parse(env.storage.getItem('traceit_radar_settings'));
+        assert.equal(reloaded.range, 200);
+        assert.equal(reloaded.autoZoom, false);
+    });
+    
+    it('zooms with a pinch', () => {
+        const radar = $('#radar');
+        const pointer = (type, pointerId, clientX) => {
+            const event = new env.window.Event(type, { bubbles: true });
+            Object.assign(event, { pointerId: pointerId, clientX: clientX, clientY: 100 });
+            radar.dispatchEvent(event);
+        };
+        
+        pointer('pointerdown', 1, 100);
+        pointer('pointerdown', 2, 150);
+        pointer('pointermove', 2, 200);     // Fingers twice as far apart
+        assert.equal($('#radarRangeLabel').textContent, '50 m');
+        
+        pointer('pointerup', 2, 200);
+        pointer('pointerup', 1, 100);
+        assert.equal(JSON.parse(env.storage.getItem('traceit_radar_settings')).range, 50);
+    });
+    
+    it('separates near and far items on a log scale', () => {
+        change('radarScale', 'log');
+        $('[data-action="zoomRadar"][data-delta="-1"]').click();
+        
+        // 50 cm and 2 km due north of the user, on a 200 m radar
+        const near = app.getRadarPosition(0.5, 0);
+        const far = app.getRadarPosition(2000, 0);
+        const close = app.getRadarPosition(20, 0);
+        assert.ok(near.normalizedDistance > 0.1);
+        assert.ok(close.normalizedDistance > near.normalizedDistance);
+        assert.equal(far.normalizedDistance, 1);
+        
+        // A linear radar puts the 50 cm item on top of the user
+        change('radarScale', 'linear');
+        assert.ok(app.getRadarPosition(0.5, 0).normalizedDistance < 0.01);
+    });
+    
+    it('shows other items and tracks the one tapped', () => {
+        const wallet = saveItemAt('Wallet', 0.0003, 0);
+        const bike = saveItemAt('Bike', 0, 0.01);
+        saveItemAt('Keys', 0, 0);
+        app.showPage('liveFinder');
+        change('finderItemSelect', wallet.id);
+        
+        assert.equal(env.document.querySelectorAll('.radar-item').length, 0);
+        
+        change('radarShow', 'all');
+        const markers = Array.from(env.document.querySelectorAll('.radar-item'));
+        assert.deepEqual(markers.map(marker => marker.title).sort(), ['Bike · 1.1 km', 'Keys · 0 cm']);
+        assert.equal($('#radarRangeLabel').textContent, '2 km · auto');
+        
+        // Only the chosen items
+        change('radarShow', 'custom');
+        assert.equal($('#radarItems').hidden, false);
+        Array.from($('#radarItems').options).forEach(option => {
+            option.selected = option.value === bike.id;
+        });
+        $('#radarItems').dispatchEvent(new env.window.Event('change', { bubbles: true }));
+        assert.deepEqual(Array.from(env.document.querySelectorAll('.radar-item'), marker => marker.dataset.id), [bike.id]);
+        
+        // Tapping the bike tracks it; the wallet is not a chosen item, so it leaves the radar
+        $(`.radar-item[data-id="${bike.id}"]`).click();
+        assert.equal(app.currentItem, bike);
+        assert.equal($('#finderItemSelect').value, bike.id);
+        assert.equal(env.document.querySelectorAll('.radar-item').length, 0);
+    });
+});
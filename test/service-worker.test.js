@@ -0,0 +1,166 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SW_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8');
+const ORIGIN = 'https://traceit.example';
+
+// Cache Storage keyed by absolute URL
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        const response = this.entries.get(urlOf(request));
+        return response ? response.clone() : undefined;
+    }
+
+    async put(request, response) {
+        this.entries.set(urlOf(request), response.clone());
+    }
+
+    async add(request) {
+        await this.put(request, await workerFetch(request));
+    }
+
+    async addAll(requests) {
+        await Promise.all(requests.map(request => this.add(request)));
+    }
+
+    async keys() {
+        return Array.from(this.entries.keys(), url => new Request(url));
+    }
+
+    async delete(request) {
+        return this.entries.delete(urlOf(request));
+    }
+}
+
+function urlOf(request) {
+    return new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`).href;
+}
+
+// The server: path -> body, or offline
+let files;
+let offline;
+async function workerFetch(request) {
+    const url = new URL(urlOf(request));
+    if (offline) throw new TypeError('Failed to fetch');
+    if (url.origin !== ORIGIN) return new Response('vendor');
+    return url.pathname in files ? new Response(files[url.pathname]) : new Response('', { status: 404 });
+}
+
+// Load sw.js into a fresh worker scope
+function startWorker() {
+    const cacheStorage = new Map();
+    const caches = {
+        async open(name) {
+            if (!cacheStorage.has(name)) cacheStorage.set(name, new FakeCache());
+            return cacheStorage.get(name);
+        },
+        async match(request) {
+            for (const cache of cacheStorage.values()) {
+                const response = await cache.match(request);
+                if (response) return response;
+            }
+            return undefined;
+        },
+        async keys() {
+            return Array.from(cacheStorage.keys());
+        },
+        async delete(name) {
+            return cacheStorage.delete(name);
+        }
+    };
+
+    const listeners = {};
+    const scope = {
+        location: new URL(`${ORIGIN}/sw.js`),
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: () => {},
+        clients: { claim: async () => {} }
+    };
+    // Relative URLs resolve against the worker script, as in a browser
+    class WorkerRequest extends Request {
+        constructor(input, init) {
+            super(typeof input === 'string' ? new URL(input, scope.location).href : input, init);
+        }
+    }
+    vm.runInNewContext(SW_SOURCE, {
+        self: scope, caches, fetch: workerFetch, Request: WorkerRequest, Response, URL, Uint8Array, console
+    });
+
+    // Fire an event and wait for everything it hands to waitUntil/respondWith
+    const dispatch = async (type, fields = {}) => {
+        const pending = [];
+        const event = {
+            ...fields,
+            waitUntil: (promise) => pending.push(promise),
+            respondWith: (promise) => pending.push(promise)
+        };
+        listeners[type](event);
+        return Promise.all(pending);
+    };
+    return { dispatch, caches };
+}
+
+describe('service worker', () => {
+    let worker;
+    let messages;
+
+    const checkShell = () => worker.dispatch('message', {
+        data: { type: 'CHECK_SHELL' },
+        source: { postMessage: (message) => messages.push(message.type) }
+    });
+    const get = async (url) => {
+        const [response] = await worker.dispatch('fetch', { request: new Request(`${ORIGIN}/${url}`) });
+        return response.text();
+    };
+
+    beforeEach(async () => {
+        files = {
+            '/': 'page v1', '/index.html': 'page v1', '/style.css': 'style v1', '/script.js': 'script v1',
+            '/manifest.webmanifest': '{}', '/icons/icon.svg': '<svg/>', '/icons/icon-192.png': 'png',
+            '/icons/icon-512.png': 'png', '/changes': 'changes v1'
+        };
+        offline = false;
+        messages = [];
+        worker = startWorker();
+        await worker.dispatch('install');
+    });
+
+    it('reports nothing while the shell is unchanged', async () => {
+        await checkShell();
+        assert.deepEqual(messages, []);
+    });
+
+    it('caches changed shell files and tells the page', async () => {
+        files['/script.js'] = 'script v2';
+        assert.equal(await get('script.js'), 'script v1');
+
+        await checkShell();
+        assert.deepEqual(messages, ['SHELL_UPDATED']);
+        assert.equal(await get('script.js'), 'script v2');
+
+        // Already up to date on the next visit
+        await checkShell();
+        assert.deepEqual(messages, ['SHELL_UPDATED']);
+    });
+
+    it('keeps serving the cached shell offline', async () => {
+        offline = true;
+        await checkShell();
+
+        assert.deepEqual(messages, []);
+        assert.equal(await get('script.js'), 'script v1');
+    });
+
+    it('fetches other same-origin requests from the network', async () => {
+        assert.equal(await get('changes'), 'changes v1');
+        files['/changes'] = 'changes v2';
+        assert.equal(await get('changes'), 'changes v2');
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, startApp } = require('./helpers/environment');
+
+describe('live tracking', () => {
+    let env;
+    let app;
+    let item;
+    
+    const text = (id) => env.document.getElementById(id).textContent;
+    const marker = () => env.document.getElementById('targetMarker').style;
+    
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: new Date('2026-03-01T12:00:00Z') });
+        env = createEnvironment();
+        app = await startApp(env);
+        
+        // Save a GPS-only wallet at the origin, then walk about 33 m north of it
+        env.geolocation.moveTo(0, 0);
+        env.document.getElementById('itemName').value = 'Wallet';
+        env.document.getElementById('attachMethod').value = 'gps';
+        app.saveItem();
+        [item] = app.items.values();
+        env.geolocation.moveTo(0.0003, 0);
+        
+        app.showPage('liveFinder');
+        const select = env.document.getElementById('finderItemSelect');
+        select.value = item.id;
+        select.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    });
+    
+    afterEach(() => {
+        env.restore();
+        mock.timers.reset();
+    });
+    
+    it('uses the fake sensors', () => {
+        assert.equal(app.sensors.location.source, 'gps');
+        assert.equal(app.sensors.heading.source, 'compass');
+        assert.equal(env.geolocation.watching, 1);
+        assert.equal(app.currentItem, item);
+    });
+    
+    it('falls back to a simulated location on the monitor timers when GPS fails', () => {
+        env.geolocation.fail();
+        
+        assert.equal(app.sensors.location.source, 'simulated');
+        assert.equal(app.sensors.location.scheduler, app.monitor);
+        assert.equal(app.sensors.location.location.lat, 0.0003);
+    });
+    
+    it('needs an item to track', () => {
+        app.stopLiveFinder();
+        app.startLiveTracking();
+        
+        assert.equal(env.alerts.at(-1), 'Please select an item to track first');
+        assert.equal(app.liveTracking, false);
+    });
+    
+    it('places the item on the radar on each tracking tick', () => {
+        app.startLiveTracking();
+        assert.equal(app.liveTracking, true);
+        assert.equal(env.document.getElementById('startTrackingBtn').disabled, true);
+        assert.equal(env.document.getElementById('stopTrackingBtn').disabled, false);
+        assert.equal(text('distanceValue'), '-- m');
+        
+        mock.timers.tick(1000);
+        
+        // Due south, two thirds of the way out once auto zoom picks the 50 m range
+        assert.equal(text('distanceValue'), '33 m');
+        assert.equal(text('directionValue'), '180°');
+        assert.equal(text('radarRangeLabel'), '50 m · auto');
+        assert.ok(Math.abs(parseFloat(marker().left) - 50) < 0.1);
+        assert.ok(Math.abs(parseFloat(marker().top) - 83.4) < 0.1);
+        assert.equal(text('proximityFeedback').trim(), 'Item is within 100 meters');
+        assert.equal(env.beeps.length, 0);
+        
+        // Walking closer zooms in
+        env.geolocation.moveTo(0.00003, 0);
+        mock.timers.tick(1000);
+        assert.equal(text('distanceValue'), '3.3 m');
+        assert.equal(text('radarRangeLabel'), '5 m · auto');
+        assert.ok(Math.abs(parseFloat(marker().top) - 83.4) < 0.1);
+        assert.equal(text('proximityFeedback').trim(), 'Item is very close');
+        assert.equal(env.beeps.length, 1);
+    });
+    
+    it('turns the direction arrow with the compass', () => {
+        app.startLiveTracking();
+        mock.timers.tick(1000);
+        const arrow = () => env.document.getElementById('directionArrow').style.transform;
+        assert.equal(arrow(), 'rotate(180deg)');
+        
+        // alpha is counter-clockwise, so 90 means facing west
+        env.orientation.turnTo(90);
+        mock.timers.tick(1000);
+        assert.equal(arrow(), 'rotate(270deg)');
+    });
+    
+    it('stops updating and resets the radar when stopped', () => {
+        app.startLiveTracking();
+        mock.timers.tick(1000);
+        app.stopLiveTracking();
+        
+        assert.equal(app.liveTracking, false);
+        assert.equal(env.document.getElementById('startTrackingBtn').disabled, false);
+        assert.equal(env.document.getElementById('stopTrackingBtn').disabled, true);
+        assert.equal(marker().left, '50%');
+        assert.equal(marker().top, '50%');
+        assert.equal(text('distanceValue'), '-- m');
+        
+        env.geolocation.moveTo(0.0001, 0);
+        mock.timers.tick(5000);
+        assert.equal(text('distanceValue'), '-- m');
+    });
+});
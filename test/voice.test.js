@@ -0,0 +1,192 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, startApp } = require('./helpers/environment');
+
+describe('audio and voice guidance', () => {
+    let env;
+    let app;
+
+    const text = (id) => env.document.getElementById(id).textContent;
+
+    // A GPS-only wallet at the origin, tracked from about 33 m north of it
+    async function trackWallet(options) {
+        env = createEnvironment(options);
+        app = await startApp(env);
+
+        env.geolocation.moveTo(0, 0);
+        env.document.getElementById('itemName').value = 'Wallet';
+        env.document.getElementById('attachMethod').value = 'gps';
+        app.saveItem();
+        const [item] = app.items.values();
+        env.geolocation.moveTo(0.0003, 0);
+
+        app.showPage('liveFinder');
+        const select = env.document.getElementById('finderItemSelect');
+        select.value = item.id;
+        select.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    }
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: new Date('2026-03-01T12:00:00Z') });
+    });
+
+    afterEach(() => {
+        env.restore();
+        mock.timers.reset();
+    });
+
+    it('pings higher and faster as the item gets closer', async () => {
+        await trackWallet({ webAudio: true });
+        app.startLiveTracking();
+        assert.equal(env.audio.state, 'running');
+
+        mock.timers.tick(1000);
+        const far = env.audio.pings;
+        assert.equal(far.length, 1);
+
+        env.geolocation.moveTo(0.00001, 0);
+        mock.timers.tick(1000);
+        const near = env.audio.pings.slice(far.length);
+        assert.equal(near.length, 4);
+        assert.deepEqual(near.map(ping => ping.start - near[0].start), [0, 0.25, 0.5, 0.75]);
+        assert.ok(near[0].frequency > far[0].frequency * 2);
+
+        // Web Audio replaces the beep sound
+        assert.equal(env.beeps.length, 0);
+    });
+
+    it('pings once per tick while motion updates the finder', async () => {
+        await trackWallet({ webAudio: true });
+        app.startLiveTracking();
+        env.geolocation.moveTo(0.00001, 0);
+
+        // A second of walking: devicemotion at about 60 Hz, each refreshing the finder
+        for (let i = 0; i < 60; i++) {
+            env.orientation.shake(3);
+            mock.timers.tick(16);
+        }
+        mock.timers.tick(40);
+        assert.ok(env.audio.pings.length <= 8, `${env.audio.pings.length} pings in one second`);
+
+        // The next tick pings again
+        const before = env.audio.pings.length;
+        mock.timers.tick(1000);
+        assert.equal(env.audio.pings.length, before + 4);
+    });
+
+    it('pans the sonar towards the item and muffles it behind', async () => {
+        await trackWallet({ webAudio: true });
+        app.startLiveTracking();
+        const lastPing = () => env.audio.pings.at(-1);
+
+        // Without a compass the side is unknown
+        mock.timers.tick(1000);
+        assert.equal(lastPing().pan, 0);
+        assert.equal(lastPing().cutoff, 20000);
+
+        // Facing east (alpha is counter-clockwise), the item due south is on the right
+        env.orientation.turnTo(270);
+        mock.timers.tick(1000);
+        assert.ok(Math.abs(lastPing().pan - 1) < 1e-9);
+
+        // Facing west it is on the left
+        env.orientation.turnTo(90);
+        mock.timers.tick(1000);
+        assert.ok(Math.abs(lastPing().pan + 1) < 1e-9);
+
+        // Facing north it is behind
+        env.orientation.turnTo(0);
+        mock.timers.tick(1000);
+        assert.ok(lastPing().cutoff < 20000);
+    });
+
+    it('stays quiet out of sonar range or with sound off', async () => {
+        await trackWallet({ webAudio: true });
+        app.startLiveTracking();
+
+        env.geolocation.moveTo(0.002, 0);
+        mock.timers.tick(1000);
+        assert.equal(env.audio.pings.length, 0);
+
+        env.geolocation.moveTo(0.0003, 0);
+        app.toggleSound();
+        mock.timers.tick(1000);
+        assert.equal(env.audio.pings.length, 0);
+        assert.equal(env.document.getElementById('soundToggle').getAttribute('aria-pressed'), 'false');
+    });
+
+    it('announces distance and direction in the live region at the chosen interval', async () => {
+        await trackWallet({ speech: true });
+        app.startLiveTracking();
+
+        mock.timers.tick(1000);
+        assert.equal(text('finderAnnouncement'), 'Wallet, 33 meters, to the south');
+
+        // Not again until the 10 s default interval is up
+        env.geolocation.moveTo(0.0001, 0);
+        mock.timers.tick(1000);
+        assert.equal(text('finderAnnouncement'), 'Wallet, 33 meters, to the south');
+        mock.timers.tick(9000);
+        assert.equal(text('finderAnnouncement'), 'Wallet, 11 meters, to the south');
+
+        // Only the live region: speech is off by default
+        assert.deepEqual(env.speech.spoken, []);
+    });
+
+    it('speaks clock directions when voice guidance is on', async () => {
+        await trackWallet({ speech: true });
+        app.toggleVoice();
+        assert.deepEqual(env.speech.spoken, ['Voice guidance on']);
+        assert.equal(env.document.getElementById('voiceToggle').getAttribute('aria-pressed'), 'true');
+
+        env.orientation.turnTo(270);
+        app.startLiveTracking();
+        mock.timers.tick(1000);
+        assert.equal(env.speech.spoken.at(-1), "Wallet, 33 meters, at 3 o'clock");
+
+        env.orientation.turnTo(180);
+        env.geolocation.moveTo(0.000005, 0);
+        mock.timers.tick(10000);
+        assert.equal(env.speech.spoken.at(-1), 'Wallet, 56 centimeters, straight ahead');
+
+        // Stopping cuts the speech short
+        const cancelled = env.speech.cancelled;
+        app.stopLiveTracking();
+        assert.equal(env.speech.cancelled, cancelled + 1);
+    });
+
+    it('speaks the next walking direction in navigation mode', async () => {
+        await trackWallet({ speech: true });
+        app.toggleVoice();
+        app.toggleNavigation();
+        app.startLiveTracking();
+        mock.timers.tick(1000);
+
+        assert.equal(env.speech.spoken.at(-1), 'Head south (straight line), 33 meters to go');
+    });
+
+    it('keeps the announcement settings', async () => {
+        await trackWallet({ speech: true });
+        const interval = env.document.getElementById('announceInterval');
+        interval.value = '0';
+        interval.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+        app.toggleVoice();
+
+        app.startLiveTracking();
+        mock.timers.tick(60000);
+        assert.equal(text('finderAnnouncement'), 'Voice guidance on');
+        assert.deepEqual(env.speech.spoken, ['Voice guidance on']);
+
+        const reloaded = await startApp(env);
+        assert.deepEqual(reloaded.voiceSettings, { speech: true, interval: 0 });
+        assert.equal(env.document.getElementById('voiceToggle').getAttribute('aria-pressed'), 'true');
+    });
+
+    it('says when voice guidance is unsupported', async () => {
+        await trackWallet();
+        app.toggleVoice();
+
+        assert.equal(env.alerts.at(-1), 'Voice guidance is not supported in this browser');
+        assert.equal(app.voiceSettings.speech, false);
+    });
+});